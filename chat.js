@@ -3,8 +3,19 @@
 
 // ====== CONFIG ======
 const API_BASE = "https://infomed-ai-backend.onrender.com"; // <- your Render backend
+// Public key issued for this site's origin (POST /admin/keys with type "public"); safe to ship,
+// it only works from the origins it was issued for. Leave empty if the backend runs with API_AUTH=optional.
+const API_KEY = "";
 const DEFAULT_LANG = localStorage.getItem("ih-lang") || "en";
 let CURRENT_LANG = DEFAULT_LANG;
+let CONVERSATION_ID = sessionStorage.getItem("ih-conversation") || null;
+// Random per-browser id sent as X-Client-Id so prompt experiments give this visitor the
+// same template version every time; it identifies the browser, not the person.
+const CLIENT_ID = localStorage.getItem("ih-client") || (() => {
+  const id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  localStorage.setItem("ih-client", id);
+  return id;
+})();
 
 // ids that should exist in index.html
 const IDS = {
@@ -16,17 +27,162 @@ const IDS = {
   enBtn:       "#btnEn"            // <button id="btnEn">EN</button> (optional)
 };
 
+// ====== Messages (GET /i18n/:lang) ======
+// User-facing strings come from the backend's catalog (data/i18n/<lang>.json) so the UI
+// and the server's error messages stay in sync. These English strings cover a backend
+// that can't be reached; a key missing everywhere shows as itself.
+const FALLBACK_MESSAGES = {
+  "ui.home": "🏠 Home",
+  "ui.disclaimer": "Educational only • Not medical advice",
+  "ui.sources": "Sources",
+  "ui.noText": "(no text)",
+  "ui.seconds": "{n} seconds",
+  "ui.minutes": "{n} minutes",
+  "section.keyPoints": "Key points",
+  "section.selfCare": "Self-care tips",
+  "section.whenToSeekCare": "When to seek care",
+  "section.questionsForClinician": "Questions to ask your clinician",
+  "error.unreachable": "Sorry, I couldn't reach the assistant.",
+  "error.retryAfter": "Too many requests — please try again in {wait}."
+};
+const CATALOGS = {};
+let MESSAGES = FALLBACK_MESSAGES;
+
+async function loadMessages(lang) {
+  if (!CATALOGS[lang]) {
+    try {
+      const r = await fetch(`${API_BASE}/i18n/${encodeURIComponent(lang)}`);
+      if (r.ok) CATALOGS[lang] = (await r.json()).messages;
+    } catch (e) {
+      console.warn("i18n: catalog not loaded", e);
+    }
+  }
+  MESSAGES = { ...FALLBACK_MESSAGES, ...(CATALOGS[lang] || {}) };
+}
+
+// t("error.retryAfter", { wait: "30 seconds" })
+function t(key, vars = {}) {
+  const text = MESSAGES[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
 // ====== API ======
+function apiHeaders(extra = {}) {
+  const headers = { ...extra, "X-Client-Id": CLIENT_ID };
+  return API_KEY ? { ...headers, "X-API-Key": API_KEY } : headers;
+}
+
+// Error for a failed request, from the { error: { code, message, userMessage, requestId } }
+// envelope; rate limits tell the user when to retry. `code`, the server's localized
+// `userMessage` and the request id ride along (the id shows in the ?debug=1 footer).
+async function apiError(r) {
+  const body = await r.json().catch(() => null);
+  const info = body?.error || {};
+  let err;
+  if (r.status === 429) {
+    const wait = Number(r.headers.get("Retry-After")) || 60;
+    err = new Error(t("error.retryAfter", { wait: wait < 120 ? t("ui.seconds", { n: wait }) : t("ui.minutes", { n: Math.ceil(wait / 60) }) }));
+    err.retryAfter = wait;
+  } else {
+    err = new Error(info.message || `Request failed (${r.status})`);
+  }
+  err.code = info.code || null;
+  err.userMessage = info.userMessage || null;
+  err.requestId = info.requestId || r.headers.get("X-Request-Id");
+  return err;
+}
+
 async function callChat(payload) {
   const r = await fetch(`${API_BASE}/chat`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: apiHeaders({ "Content-Type": "application/json" }),
     body: JSON.stringify(payload)
   });
-  if (!r.ok) throw new Error(await r.text());
+  if (!r.ok) throw await apiError(r);
   return r.json();
 }
 
+// Streams /chat over SSE. Calls onDelta(text) per token chunk and onRetry(info)
+// when a provider fails and the server falls back to the next one (the partial
+// answer should be discarded). Resolves with the `done` payload plus full text.
+// Falls back to a plain JSON response if the backend doesn't stream.
+async function streamChat(payload, { onDelta, onRetry } = {}) {
+  const r = await fetch(`${API_BASE}/chat?stream=1`, {
+    method: "POST",
+    headers: apiHeaders({ "Content-Type": "application/json", "Accept": "text/event-stream" }),
+    body: JSON.stringify(payload)
+  });
+  if (!r.ok) throw await apiError(r);
+  // structured answers (and servers without streaming) reply with plain JSON
+  if (!(r.headers.get("content-type") || "").includes("text/event-stream")) {
+    const resp = await r.json();
+    onDelta?.(resp?.text || "");
+    return resp;
+  }
+
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let text = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      const event = (raw.match(/^event: (.*)$/m) || [])[1] || "message";
+      const data = JSON.parse((raw.match(/^data: (.*)$/m) || [])[1] || "{}");
+      if (event === "delta") {
+        text += data.text;
+        onDelta?.(data.text);
+      } else if (event === "done") {
+        // a flagged or simplified answer comes back in done.text and replaces the deltas
+        return { ...data, text: data.text ?? text, replaced: data.text != null };
+      } else if (event === "error") {
+        if (!data.retrying) throw Object.assign(new Error(data.message || "stream error"), { code: data.code || null, requestId: data.requestId });
+        text = "";
+        onRetry?.(data);
+      }
+    }
+  }
+  throw new Error("stream ended unexpectedly");
+}
+
+async function endConversation() {
+  if (!CONVERSATION_ID) return;
+  const id = CONVERSATION_ID;
+  setConversation(null);
+  try {
+    await fetch(`${API_BASE}/conversations/${encodeURIComponent(id)}`, { method: "DELETE", headers: apiHeaders() });
+  } catch (e) {
+    console.warn("could not end conversation", e);
+  }
+}
+
+// Rates an answer by the responseId it came back with (see addRating).
+async function sendFeedback(body) {
+  const r = await fetch(`${API_BASE}/feedback`, {
+    method: "POST",
+    headers: apiHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) throw await apiError(r);
+  return r.json();
+}
+
+// Printable handout of an answer from POST /export, as a Blob ("html" or "pdf").
+async function exportHandout(payload, format) {
+  const r = await fetch(`${API_BASE}/export`, {
+    method: "POST",
+    headers: apiHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ ...payload, format })
+  });
+  if (!r.ok) throw await apiError(r);
+  return r.blob();
+}
+
 async function callHealth() {
   const r = await fetch(`${API_BASE}/health`);
   return r.json();
@@ -50,6 +206,55 @@ function addBubble(text, who = "ai") {
   return wrap;
 }
 
+// empty AI bubble that grows as deltas arrive
+function addStreamingBubble() {
+  const wrap = addBubble("", "ai");
+  const el = wrap.firstElementChild;
+  const log = $(IDS.log);
+  return {
+    wrap,
+    append(text) {
+      el.textContent += text;
+      log.scrollTop = log.scrollHeight;
+    },
+    reset() { el.textContent = ""; },
+    set(text) { el.textContent = text; },
+    sections(doc) { renderSections(el, doc); }
+  };
+}
+
+// ====== Structured answers (format: "structured") ======
+const SECTION_NAMES = ["keyPoints", "selfCare", "whenToSeekCare", "questionsForClinician"];
+
+// Replaces a bubble's text with the answer's sections. Built with createElement/textContent
+// only — model output never becomes markup. Headings come from the catalog (section.*);
+// sources render below via addSources.
+function renderSections(el, doc) {
+  el.textContent = "";
+  const summary = document.createElement("p");
+  summary.className = "answer-summary";
+  summary.textContent = String(doc.summary || "");
+  el.appendChild(summary);
+  for (const name of SECTION_NAMES) {
+    const items = Array.isArray(doc[name]) ? doc[name].filter(i => typeof i === "string" && i) : [];
+    if (!items.length) continue;
+    const section = document.createElement("section");
+    // style .answer-section.seek-care to make the warning signs stand out
+    section.className = name === "whenToSeekCare" ? "answer-section seek-care" : "answer-section";
+    const h = document.createElement("h4");
+    setText(h, `section.${name}`);
+    section.appendChild(h);
+    const list = document.createElement("ul");
+    for (const item of items) {
+      const li = document.createElement("li");
+      li.textContent = item;
+      list.appendChild(li);
+    }
+    section.appendChild(list);
+    el.appendChild(section);
+  }
+}
+
 // simple typewriter
 function typewriter(el, text, speed = 12) {
   let i = 0;
@@ -63,19 +268,196 @@ function typewriter(el, text, speed = 12) {
   step();
 }
 
-// reset chat for each new question
+function setConversation(id) {
+  CONVERSATION_ID = id || null;
+  if (CONVERSATION_ID) sessionStorage.setItem("ih-conversation", CONVERSATION_ID);
+  else sessionStorage.removeItem("ih-conversation");
+}
+
+// clear the log (new conversation)
 function resetChat() {
   const log = $(IDS.log);
   if (log) log.innerHTML = "";
 }
 
+// Catalog text for an element, remembered in data-i18n so translateStaticUI can
+// re-apply it when the language changes.
+function setText(el, key) {
+  el.dataset.i18n = key;
+  el.textContent = t(key);
+}
+
+// Same for an attribute (placeholder, title, aria-label), via data-i18n-<attr>.
+function setAttrText(el, attr, key) {
+  el.setAttribute(`data-i18n-${attr}`, key);
+  el.setAttribute(attr, t(key));
+}
+
+// 👍/👎 under an AI answer, sent to POST /feedback with the answer's responseId.
+// Thumbs down first asks what was wrong (one of the server's reasons) and for an
+// optional comment; the server redacts personal details from comments anyway.
+const FEEDBACK_REASONS = ["inaccurate", "unsafe", "too_complex", "wrong_language"];
+
+function addRating(responseId) {
+  if (!responseId) return;
+  const log = $(IDS.log);
+  const box = document.createElement("div");
+  box.className = "rating";
+  const status = document.createElement("span");
+  status.className = "rating-status";
+  status.setAttribute("role", "status");
+
+  const send = async body => {
+    box.querySelectorAll("button, textarea").forEach(el => { el.disabled = true; });
+    try {
+      await sendFeedback({ responseId, ...body });
+      box.querySelector(".rating-reasons")?.remove();
+      setText(status, "feedback.thanks");
+    } catch (err) {
+      console.warn("feedback failed", err);
+      setText(status, "feedback.failed");
+      box.querySelectorAll("button, textarea").forEach(el => { el.disabled = false; });
+    }
+  };
+
+  const thumb = (emoji, key) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "btn-rate";
+    b.textContent = emoji;
+    setAttrText(b, "aria-label", key);
+    setAttrText(b, "title", key);
+    return b;
+  };
+  const up = thumb("👍", "feedback.helpful");
+  const down = thumb("👎", "feedback.notHelpful");
+  up.onclick = () => send({ rating: "up" });
+  down.onclick = () => {
+    if (box.querySelector(".rating-reasons")) return;
+    down.setAttribute("aria-pressed", "true");
+    box.insertBefore(reasonForm(body => send({ rating: "down", ...body })), status);
+  };
+  box.append(up, down, status);
+  log.appendChild(box);
+}
+
+function reasonForm(onSend) {
+  const form = document.createElement("form");
+  form.className = "rating-reasons";
+  const question = document.createElement("div");
+  setText(question, "feedback.prompt");
+  form.appendChild(question);
+  let reason = null;
+  for (const name of FEEDBACK_REASONS) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "btn-reason";
+    b.setAttribute("aria-pressed", "false");
+    setText(b, `feedback.reason.${name}`);
+    b.onclick = () => {
+      reason = name;
+      form.querySelectorAll(".btn-reason").forEach(x => x.setAttribute("aria-pressed", String(x === b)));
+    };
+    form.appendChild(b);
+  }
+  const comment = document.createElement("textarea");
+  comment.rows = 2;
+  comment.maxLength = 1000;
+  setAttrText(comment, "placeholder", "feedback.comment");
+  const submit = document.createElement("button");
+  submit.type = "submit";
+  setText(submit, "feedback.send");
+  form.append(comment, submit);
+  form.addEventListener("submit", ev => {
+    ev.preventDefault();
+    const body = {};
+    if (reason) body.reason = reason;
+    if (comment.value.trim()) body.comment = comment.value.trim();
+    onSend(body);
+  });
+  return form;
+}
+
+// "Export / Print" and "PDF" under an AI answer. The server builds the handout from
+// the question, the answer and its sources (re-checked there); printing loads the
+// HTML into a hidden frame so the page itself is not printed.
+function addExportButtons(question, resp) {
+  if (!resp?.text) return;
+  const log = $(IDS.log);
+  const payload = {
+    source: "chat",
+    question,
+    answer: resp.text,
+    lang: resp.lang || CURRENT_LANG
+  };
+  if (resp.structured) payload.structured = resp.structured;
+  if (resp.sources?.length) payload.sources = resp.sources;
+  if (resp.responseId) payload.responseId = resp.responseId;
+
+  const holder = document.createElement("div");
+  holder.className = "export-actions";
+  const status = document.createElement("span");
+  status.className = "export-status";
+  status.setAttribute("role", "status");
+
+  const run = async (btn, format, use) => {
+    btn.disabled = true;
+    status.textContent = "";
+    try {
+      use(URL.createObjectURL(await exportHandout(payload, format)));
+    } catch (err) {
+      console.warn("export failed", err);
+      setText(status, "export.failed");
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const print = document.createElement("button");
+  print.type = "button";
+  print.className = "btn-export";
+  setText(print, "export.print");
+  print.onclick = () => run(print, "html", url => {
+    const frame = document.createElement("iframe");
+    frame.style.cssText = "position:fixed;width:0;height:0;border:0;visibility:hidden";
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // print() returns once the dialog closes (or right away on some browsers)
+      setTimeout(() => { frame.remove(); URL.revokeObjectURL(url); }, 60000);
+    };
+    frame.src = url;
+    document.body.appendChild(frame);
+  });
+
+  const pdf = document.createElement("button");
+  pdf.type = "button";
+  pdf.className = "btn-export";
+  setText(pdf, "export.pdf");
+  pdf.onclick = () => run(pdf, "pdf", url => {
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `handout-${new Date().toISOString().slice(0, 10)}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  });
+
+  holder.append(print, pdf, status);
+  log.appendChild(holder);
+}
+
 // blue home button after AI reply
 function addHomeButton() {
   const log = $(IDS.log);
   const btn = document.createElement("button");
   btn.className = "btn-home";
-  btn.textContent = "🏠 Home";
-  btn.onclick = () => {
+  setText(btn, "ui.home");
+  btn.onclick = async () => {
+    // Home ends the conversation so the next question starts fresh
+    await endConversation();
+    resetChat();
     // If your app has a goHome() implement it; otherwise fallback to reload
     if (typeof window.goHome === "function") window.goHome();
     else window.location.reload();
@@ -92,15 +474,53 @@ function addDisclaimer() {
   const log = $(IDS.log);
   const p = document.createElement("div");
   p.className = "tiny-banner";
-  p.innerHTML = `Educational only • Not medical advice • Sources on request.`;
+  setText(p, "ui.disclaimer");
   log.appendChild(p);
 }
 
+// support line under an answer, shown only with ?debug=1
+function addDebugLine(text) {
+  if (!new URLSearchParams(location.search).get("debug")) return;
+  const d = document.createElement("div");
+  d.className = "debug-line";
+  d.textContent = text;
+  $(IDS.log).appendChild(d);
+}
+
+// source list under an AI answer (built with textContent/href only — no HTML from the server)
+function addSources(sources) {
+  if (!Array.isArray(sources) || !sources.length) return;
+  const log = $(IDS.log);
+  const box = document.createElement("div");
+  box.className = "sources";
+  const label = document.createElement("div");
+  label.className = "sources-label";
+  setText(label, "ui.sources");
+  box.appendChild(label);
+  const list = document.createElement("ul");
+  for (const s of sources) {
+    if (!/^https:\/\//.test(s?.url || "")) continue;
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.href = s.url;
+    a.target = "_blank";
+    a.rel = "noopener noreferrer";
+    a.textContent = s.title;
+    li.appendChild(a);
+    if (s.publisher) li.appendChild(document.createTextNode(` — ${s.publisher}`));
+    list.appendChild(li);
+  }
+  box.appendChild(list);
+  log.appendChild(box);
+}
+
 // ====== Language handling ======
-function setLang(lang) {
+async function setLang(lang) {
   CURRENT_LANG = lang;
   localStorage.setItem("ih-lang", lang);
   document.documentElement.setAttribute("lang", lang);
+  await loadMessages(lang);
+  translateStaticUI();
 }
 
 function wireLangButtons() {
@@ -110,15 +530,33 @@ function wireLangButtons() {
   if (en) en.addEventListener("click", () => setLang("en"));
 }
 
-// optional: translate a few static labels if you provided ids/classes in HTML
-function translateStaticUI() {
-  // no-op placeholder; to fully localize static cards you’ll need a key map.
+// Applies the catalog to every element that names a key, in index.html or added by this file:
+//   <h1 data-i18n="ui.title">          → textContent
+//   <input data-i18n-placeholder="…">  → placeholder
+//   <button data-i18n-title="…">       → title
+//   <button data-i18n-aria-label="…">  → aria-label
+// Answers and other model output never carry these attributes.
+const I18N_ATTRS = { i18nPlaceholder: "placeholder", i18nTitle: "title", i18nAriaLabel: "aria-label" };
+
+function translateStaticUI(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+  for (const [prop, attr] of Object.entries(I18N_ATTRS)) {
+    const sel = `[data-${prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+    root.querySelectorAll(sel).forEach(el => el.setAttribute(attr, t(el.dataset[prop])));
+  }
+}
+
+// What to tell the user about a failed request: a retry time for rate limits, the
+// catalog's text for the error code, the server's userMessage, or "couldn't reach".
+function errorText(err) {
+  if (err.retryAfter) return err.message;
+  if (err.code && MESSAGES[`error.${err.code}`]) return t(`error.${err.code}`);
+  return err.userMessage || t("error.unreachable");
 }
 
 // ====== Boot ======
 window.addEventListener("DOMContentLoaded", async () => {
-  setLang(CURRENT_LANG);
-  translateStaticUI();
+  await setLang(CURRENT_LANG);
   wireLangButtons();
 
   // probe backend
@@ -144,8 +582,9 @@ window.addEventListener("DOMContentLoaded", async () => {
     const msg = (input.value || "").trim();
     if (!msg) return;
 
-    // always start a fresh conversation per your request
-    resetChat();
+    // follow-ups stay in the same conversation; earlier Home buttons are stale
+    if (!CONVERSATION_ID) resetChat();
+    log.querySelectorAll(".btn-home").forEach(b => b.parentElement.remove());
 
     // render user bubble
     addBubble(msg, "user");
@@ -157,28 +596,52 @@ window.addEventListener("DOMContentLoaded", async () => {
 
     // read specialty from <meta name="app-specialty" content="...">
     const specialty = (document.querySelector('meta[name="app-specialty"]')?.content || "").trim();
+    // and the target reading grade from <meta name="app-reading-level" content="6"> (optional)
+    const readingLevel = Number(document.querySelector('meta[name="app-reading-level"]')?.content);
+    if (Number.isInteger(readingLevel)) prefer.readingLevel = readingLevel;
+    // sectioned answers with <meta name="app-answer-format" content="structured"> (not streamed)
+    const format = (document.querySelector('meta[name="app-answer-format"]')?.content || "").trim();
 
     // send
     try {
       const t0 = performance.now();
-      const resp = await callChat({ message: msg, specialty, prefer });
+      const payload = { message: msg, specialty, prefer };
+      if (format === "structured") payload.format = format;
+      if (CONVERSATION_ID) payload.conversationId = CONVERSATION_ID;
+      const bubble = addStreamingBubble();
+      let resp;
+      try {
+        resp = await streamChat(payload, {
+          onDelta: delta => bubble.append(delta),
+          onRetry: info => {
+            console.warn(`provider ${info.provider} failed, retrying with ${info.next}`);
+            bubble.reset();
+          }
+        });
+      } catch (e) {
+        bubble.wrap.remove();
+        throw e;
+      }
+      if (resp?.conversationId) setConversation(resp.conversationId);
       const dt = Math.round(performance.now() - t0);
-      const text = resp?.text || "(no text)";
-      addBubble(text, "ai");
+      if (resp?.structured) bubble.sections(resp.structured);
+      else if (!resp?.text) bubble.append(t("ui.noText"));
+      else if (resp?.replaced) bubble.set(resp.text);
+      if (resp?.triage === "emergency") bubble.wrap.classList.add("emergency");
+      addSources(resp?.sources);
       addDisclaimer();
+      addRating(resp?.responseId);
+      addExportButtons(msg, resp);
       addHomeButton();
 
-      // debug footer (toggle with ?debug=1)
-      if (new URLSearchParams(location.search).get("debug")) {
-        const d = document.createElement("div");
-        d.className = "debug-line";
-        d.textContent = `provider=${resp?.provider || "n/a"} • ${dt}ms`;
-        document.querySelector(IDS.log).appendChild(d);
-      }
+      // debug footer (toggle with ?debug=1); the id matches the server's `request` log record
+      const grade = resp?.readability?.grade != null ? ` • grade=${resp.readability.grade}${resp.readability.target ? `/${resp.readability.target}` : ""}` : "";
+      addDebugLine(`provider=${resp?.provider || "n/a"} • ${dt}ms${grade} • prompt=${resp?.promptVersion || "n/a"} • id=${resp?.requestId || "n/a"}`);
     } catch (err) {
       console.error("chat error:", err);
-      addBubble(`Sorry, I couldn't reach the assistant.\n\n${String(err.message || err)}`, "ai");
+      addBubble(errorText(err), "ai");
       addHomeButton();
+      addDebugLine(`error=${err.code || "n/a"} • ${String(err.message || err)} • id=${err.requestId || "n/a"}`);
     } finally {
       input.value = "";
       input.focus();
@@ -1,12 +1,6 @@
 // netlify/functions/hello.mjs
-export async function handler(event) {
-  return {
-    statusCode: 200,
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      ok: true,
-      method: event.httpMethod,
-      message: "Functions are working."
-    })
-  };
-}
+// Thin Netlify adapter; the logic lives in lib/handlers/hello.js (also served as GET /hello).
+import hello from "./lib/handlers/hello.js";
+import { toNetlify } from "./lib/adapters.js";
+
+export const handler = toNetlify(hello);
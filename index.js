@@ -1,3 +1,67 @@
+// index.js — InfoHealth AI chat (Firebase Functions v2)
+// Secrets: OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY (set via `firebase functions:secrets:set`)
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const providers = require('./lib/providers');
+const triage = require('./lib/triage');
+const safety = require('./lib/safety');
+const readability = require('./lib/readability');
+const structured = require('./lib/structured');
+const language = require('./lib/language');
+const specialties = require('./lib/specialties');
+const usage = require('./lib/usage');
+const phi = require('./lib/phi');
+const logger = require('./lib/logger');
+const errors = require('./lib/errors');
+const i18n = require('./lib/i18n');
+const prompts = require('./lib/prompts');
+const validate = require('./lib/validate');
+const { toFirebase } = require('./lib/adapters');
+const hello = require('./lib/handlers/hello');
+const enhance = require('./lib/handlers/enhance');
+
+const OPENAI_API_KEY = defineSecret('OPENAI_API_KEY');
+const ANTHROPIC_API_KEY = defineSecret('ANTHROPIC_API_KEY');
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+
+function allow(res) {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, X-Request-Id, X-Client-Id');
+  res.set('Access-Control-Expose-Headers', 'X-Request-Id');
+}
+
+function withCors(handler) {
+  return (req, res) => {
+    allow(res);
+    if (req.method === 'OPTIONS') return res.status(204).send('');
+    return handler(req, res);
+  };
+}
+
+// Same chat template as server.js (data/prompts): directive, scope and tone from the shared
+// specialty profiles, the reading-level instruction from lib/readability. No KB context here.
+function buildDirective(template, lang, profile, readingLevel, sectioned) {
+  return prompts.render(template, 'system', {
+    ...specialties.promptVars(profile, lang),
+    readingLevel: readability.directive(readingLevel, lang),
+    format: sectioned ? structured.instruction(lang) : '',
+  }, lang);
+}
+
+// Single user turn through the shared adapter layer; Firebase secrets are passed as apiKey.
+// Resolves the full result ({ text, usage, model }) so the caller can meter it.
+function callProvider(name, apiKey, message, system, model, schema) {
+  return providers.complete(name, {
+    apiKey,
+    model,
+    system,
+    schema,
+    messages: [{ role: 'user', content: message }],
+  });
+}
+
 exports.chat = onRequest(
   {
     region: 'us-central1',
@@ -7,58 +71,69 @@ exports.chat = onRequest(
   async (req, res) => {
     allow(res);
     if (req.method === 'OPTIONS') return res.status(204).send('');
+    // request id + audit record, same as server.js (Firebase hands us Express req/res)
+    logger.trace(req, res, () => {});
 
     // Friendly GET
     if (req.method === 'GET') {
       return res.json({
         ok: true,
-        expects: 'POST with JSON { message, specialty?, prefer? }',
+        expects: 'POST with JSON { message, specialty?, format?, prefer? }',
         hasOpenAI: !!OPENAI_API_KEY.value(),
         hasAnthropic: !!ANTHROPIC_API_KEY.value(),
         hasGemini: !!GEMINI_API_KEY.value(),
       });
     }
 
-    if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
+    if (req.method !== 'POST') return errors.send(res, 'method_not_allowed', 'Use POST with JSON { message, specialty?, prefer? }');
 
     const t0 = Date.now();
     try {
-      const body = req.body || {};
-      const message = (body.message || '').toString();
-      const specialty = (body.specialty || 'General').toString();
-      const prefer = body.prefer || {};
-      if (!message) return res.status(400).json({ error: 'message required' });
-
-      // ---------- intent detection ----------
-      const looksSpanish = isSpanish(message);
-      const m = message.toLowerCase();
-
-      const translateIntent =
-        /\btranslate\b|\btradu(?:ce|cción)\b|\bqué significa\b|\bque significa\b|\bwhat does .* mean\b|\bdefine\b|\bdefinir\b/.test(m);
-
-      // ---------- language routing ----------
-      let targetLang = prefer.lang === 'es' ? 'es' : 'en';
-      if (prefer.lang !== 'es' && prefer.lang !== 'en') {
-        // no explicit preference → if message looks Spanish, aim for Spanish mode in chat,
-        // but for translate intent, flip target
-        targetLang = looksSpanish ? 'es' : 'en';
-      }
-      // For TRANSLATE intent: flip to the *other* language unless prefer.lang forces target
-      let translateTarget = targetLang;
-      if (translateIntent) {
-        if (prefer.lang === 'es') translateTarget = 'es';
-        else if (prefer.lang === 'en') translateTarget = 'en';
-        else translateTarget = looksSpanish ? 'en' : 'es'; // flip automatically
+      // same declared schema as server.js (lengths, provider/lang enums, specialty names)
+      const invalid = validate.check(validate.schemas.chat, req.body);
+      if (invalid) return errors.send(res, invalid.code, invalid.message, invalid.details);
+      const { message, specialty = 'General', format = 'text', prefer = {} } = req.body;
+
+      const { profile } = specialties.resolve(specialty);
+
+      // ---------- intent detection + language routing (shared with server.js) ----------
+      // translate intent flips to the *other* language unless prefer.lang forces the target
+      const route = language.route(message, prefer);
+      const translateIntent = route.mode === 'translate';
+      const translateTarget = route.lang;
+      const targetLang = language.LANGS.includes(prefer.lang) ? prefer.lang : route.detected.lang;
+      const readingLevel = readability.level(prefer.readingLevel) ?? readability.DEFAULT_LEVEL;
+      // sectioned answers (lib/structured) for chat; translations stay plain text
+      const sectioned = format === 'structured' && !translateIntent;
+
+      // ---------- red-flag pre-screen (never reaches a model) ----------
+      const flag = triage.screen(message, { extraRules: profile.redFlags });
+      if (flag) {
+        const lang = prefer.lang === 'es' || prefer.lang === 'en' ? prefer.lang : flag.lang;
+        logger.audit(res, { lang, specialty: profile.id, provider: 'triage', triage: 'emergency', category: flag.category });
+        return res.status(200).json({
+          text: triage.respond(flag, lang),
+          provider: 'triage',
+          triage: 'emergency',
+          category: flag.category,
+          ms: Date.now() - t0,
+          lang,
+          mode: 'chat',
+          format: 'text'
+        });
       }
 
-      // ---------- system directive ----------
-      const system = translateIntent
-        ? (
-          translateTarget === 'es'
-            ? 'You are a precise bilingual medical translator. Translate the user text into **Spanish** only. Preserve meaning and medical nuance. Output ONLY the translation, no preface.'
-            : 'You are a precise bilingual medical translator. Translate the user text into **English** only. Preserve meaning and medical nuance. Output ONLY the translation, no preface.'
-        )
-        : buildDirective(targetLang, specialty);
+      // ---------- PHI redaction (single turn, so the vault lives for this request only) ----------
+      const vault = phi.vault();
+      const redaction = phi.redact(message, vault);
+      const outbound = redaction.text;
+
+      // ---------- system directive (versioned template; experiments keyed by X-Client-Id) ----------
+      const prompt = prompts.pick(translateIntent ? 'translate' : 'chat', prompts.subjectOf(req));
+      let system = translateIntent
+        ? prompts.render(prompt.template, 'system', { target: language.NAMES[translateTarget] })
+        : buildDirective(prompt.template, targetLang, profile, readingLevel, sectioned);
+      if (redaction.count) system += `\n\n${phi.promptNote(vault)}`;
 
       // ---------- provider selection ----------
       const openaiKey = OPENAI_API_KEY.value();
@@ -72,48 +147,104 @@ exports.chat = onRequest(
       if (claudeKey) autoOrder.push('anthropic');
       if (!autoOrder.length) autoOrder.push('gemini','openai','anthropic');
 
-      const tryOrder = providerPref === 'auto' ? autoOrder : [providerPref];
+      const tryOrder = providerPref === 'auto' ? specialties.order(profile, autoOrder) : [providerPref];
 
+      const keys = { openai: openaiKey, anthropic: claudeKey, gemini: geminiKey };
+      // every provider call (answer + safety rewrite) is priced; USAGE_FILE should point at /tmp here
+      const meter = usage.meter({ route: 'chat', specialty: profile.id });
       let text = '';
       let used = null;
       let lastErr = null;
 
       for (const p of tryOrder) {
         try {
-          if (p === 'openai') { if (!openaiKey) throw new Error('OPENAI_API_KEY missing');
-            text = await callOpenAI(openaiKey, message, system); used = 'openai'; break; }
-          if (p === 'anthropic') { if (!claudeKey) throw new Error('ANTHROPIC_API_KEY missing');
-            text = await callClaude(claudeKey, message, system); used = 'anthropic'; break; }
-          if (p === 'gemini') { if (!geminiKey) throw new Error('GEMINI_API_KEY missing');
-            text = await callGemini(geminiKey, message, system); used = 'gemini'; break; }
+          const result = await callProvider(p, keys[p], outbound, system, specialties.modelFor(profile, p), sectioned ? structured.SCHEMA : undefined);
+          meter.add(p, result, { prompt: `${system}\n${outbound}` });
+          text = result.text; used = p; break;
         } catch (e) { lastErr = e; }
       }
 
       if (!used) {
-        const msg = (targetLang === 'es')
-          ? "No pude contactar a los servicios de IA en este momento. Intente de nuevo o toque 'Inicio' para ver contenido de referencia."
-          : "I couldn’t reach any AI providers right now. Please try again or tap Home to view reference content.";
-        return res.status(200).json({ text: msg, provider: 'fallback', error: String(lastErr || '') });
+        const msg = i18n.t('error.upstream_error', targetLang);
+        logger.audit(res, { specialty: profile.id, promptVersion: prompt.version, experiment: prompt.experiment?.id, attempted: tryOrder, error: String(lastErr || '') });
+        return errors.send(res, 'upstream_error', msg, { attempted: tryOrder });
+      }
+
+      // ---------- reading level + output safety pass ----------
+      // Translations reproduce the user's own words (often a prescription label), so only chat answers are checked.
+      let check = { flagged: false, reasons: [], action: 'none' };
+      let fit = null;
+      let doc = null;
+      const rewrite = r => providers.complete(used, { ...r, apiKey: keys[used] }).then(out => {
+        meter.add(used, out, { prompt: `${r.system}\n${r.messages[0].content}` });
+        return out.text;
+      });
+      if (sectioned) {
+        // parsed (repaired once), checked per section, scored but not simplified
+        const built = await structured.build(text, { lang: targetLang, repair: rewrite });
+        const safe = structured.sanitize(built.doc, targetLang);
+        check = safe.safety;
+        text = structured.render(safe.doc, targetLang);
+        ({ readability: fit } = await readability.fit(text, { lang: targetLang, target: readingLevel }));
+        doc = { ...structured.map(safe.doc, s => phi.restore(s, vault)), sources: [], repair: built.repair };
+      } else if (!translateIntent) {
+        ({ text, readability: fit } = await readability.fit(text, { lang: targetLang, target: readingLevel, rewrite }));
+        ({ text, safety: check } = await safety.apply(text, { lang: targetLang, rewrite }));
       }
 
       const ms = Date.now() - t0;
+      logger.audit(res, {
+        mode: route.mode,
+        format: sectioned ? 'structured' : 'text',
+        lang: translateIntent ? translateTarget : targetLang,
+        specialty: profile.id,
+        promptVersion: prompt.version,
+        experiment: prompt.experiment?.id,
+        provider: used,
+        attempted: tryOrder.slice(0, tryOrder.indexOf(used) + 1),
+        usage: meter.total(),
+        triage: 'none',
+        safety: { flagged: check.flagged, reasons: check.reasons, action: check.action },
+        readability: fit && { grade: fit.grade, target: fit.target, met: fit.met, action: fit.action },
+        phi: redaction.categories,
+        message: logger.content(outbound),
+        reply: logger.content(text),
+      });
       return res.status(200).json({
-        text,
+        text: phi.restore(text, vault),
+        ...(doc ? { structured: doc } : {}),
+        format: sectioned ? 'structured' : 'text',
         provider: used,
         ms,
         lang: translateIntent ? translateTarget : targetLang,
-        mode: translateIntent ? 'translate' : 'chat'
+        mode: route.mode,
+        specialty: profile.id,
+        promptVersion: prompt.version,
+        detectedLang: route.detected.lang,
+        confidence: route.detected.confidence,
+        triage: 'none',
+        safety: check,
+        readability: fit,
+        phi: { redacted: redaction.count > 0, count: redaction.count, categories: redaction.categories },
+        usage: meter.total()
       });
 
     } catch (err) {
-      const ms = Date.now() - t0;
-      console.error('chat error:', err);
-      return res.status(200).json({
-        text: 'I hit an unexpected error. Please try again in a moment.',
-        provider: 'error',
-        ms,
-        error: String(err),
-      });
+      logger.error('chat.error', { requestId: res.locals.requestId, error: err });
+      const { code, message, details } = errors.classify(err);
+      return errors.send(res, code, message, details);
     }
   }
 );
+
+// Shared handler cores (same code as the Netlify functions and the Express routes)
+exports.hello = onRequest({ region: 'us-central1' }, withCors(toFirebase(hello)));
+
+exports.enhance = onRequest(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 60,
+    secrets: [OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY],
+  },
+  withCors(toFirebase(enhance))
+);
@@ -0,0 +1,55 @@
+// lib/adapters.js — mount a shared handler core on each deployment target
+// A core is `async (req) => ({ status, body, headers? })` where
+// req = { method, query, headers, body, client, requestId }; `body` may be a raw string
+// (Netlify) or already-parsed JSON (Express, Firebase); `client` is the API-key caller set
+// by lib/apikeys.js on Express (null elsewhere). Responses are always JSON; failures use
+// the lib/errors envelope.
+
+const logger = require("./logger");
+const errors = require("./errors");
+
+// Express route handler; errors go to the app's error middleware.
+function toExpress(core) {
+  return (req, res, next) => {
+    core({
+      method: req.method,
+      query: req.query || {},
+      headers: req.headers || {},
+      body: req.body,
+      client: res.locals?.client || null,
+      requestId: res.locals?.requestId || null
+    })
+      .then(out => res.status(out.status).set(out.headers || {}).json(out.body))
+      .catch(next);
+  };
+}
+
+// Netlify function `handler(event)`.
+function toNetlify(core) {
+  return async event => {
+    const out = await core({
+      method: event.httpMethod,
+      query: event.queryStringParameters || {},
+      headers: event.headers || {},
+      body: event.body,
+      client: null,
+      requestId: event.headers?.["x-nf-request-id"] || null
+    });
+    return {
+      statusCode: out.status,
+      headers: { "Content-Type": "application/json", ...out.headers },
+      body: JSON.stringify(out.body)
+    };
+  };
+}
+
+// Firebase `onRequest` hands us Express-style req/res; errors become a 500.
+function toFirebase(core) {
+  const handle = toExpress(core);
+  return (req, res) => handle(req, res, err => {
+    logger.error("handler.error", { requestId: res.locals?.requestId, error: err });
+    errors.send(res, "internal_error", "Server error");
+  });
+}
+
+module.exports = { toExpress, toNetlify, toFirebase };
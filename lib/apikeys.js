@@ -0,0 +1,236 @@
+// lib/apikeys.js — client API keys, per-key/per-IP rate limits and daily token quotas
+// Keys are shown once at issue time; only their SHA-256 hash is stored, in a
+// local JSON file (API_KEYS_FILE, default .data/api-keys.json — keep it out of git).
+// Key types:
+//   secret — server-to-server callers; every client scope
+//   public — embedded in a frontend (chat.js); only accepted from its listed origins
+// Clients send the key as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+// Env (optional):
+//   API_AUTH=required to reject requests without a key (default optional: keyless
+//     requests are allowed but share the per-IP limit)
+//   ADMIN_TOKEN enables the /admin routes
+//   RATE_LIMIT_IP_PER_MIN (default 30), RATE_LIMIT_KEY_PER_MIN (default 60)
+//   KEY_DAILY_TOKENS (default 200000), PUBLIC_KEY_DAILY_TOKENS (default 50000)
+// Limits: secret keys are held to their own `rateLimit` only; keyless callers, public
+// keys (many browsers behind one key) and bad keys also pass the per-IP limit.
+// A `rateLimit` or `dailyTokens` of 0 means no limit for that key.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createLimiter } = require("./ratelimit");
+const errors = require("./errors");
+
+const num = (v, d) => (v != null && v !== "" && !isNaN(Number(v)) ? Number(v) : d);
+
+const FILE = process.env.API_KEYS_FILE || path.join(__dirname, "..", ".data", "api-keys.json");
+const MODE = process.env.API_AUTH === "required" ? "required" : "optional";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+const TYPES = ["secret", "public"];
+const SCOPES = ["chat", "translate", "enhance"];
+const DEFAULTS = {
+  secret: { scopes: SCOPES, rateLimit: num(process.env.RATE_LIMIT_KEY_PER_MIN, 60), dailyTokens: num(process.env.KEY_DAILY_TOKENS, 200000) },
+  public: { scopes: ["chat", "translate"], rateLimit: num(process.env.RATE_LIMIT_KEY_PER_MIN, 60), dailyTokens: num(process.env.PUBLIC_KEY_DAILY_TOKENS, 50000) }
+};
+
+const ipLimiter = createLimiter({ perMinute: num(process.env.RATE_LIMIT_IP_PER_MIN, 30) });
+const keyLimiter = createLimiter({ perMinute: DEFAULTS.secret.rateLimit });
+
+// ---- Store ----
+let store = null;
+const byHash = new Map();
+
+function load() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`apikeys: cannot read ${FILE}: ${err.message}`);
+    store = { version: 1, keys: [] };
+  }
+  for (const k of store.keys) byHash.set(k.hash, k);
+  return store;
+}
+
+// Atomic replace so a crash mid-write never leaves a truncated key file.
+function save() {
+  fs.mkdirSync(path.dirname(FILE), { recursive: true });
+  const tmp = `${FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, FILE);
+}
+
+// Usage counters change on every request; batch their writes.
+let pending = null;
+function saveSoon() {
+  if (pending) return;
+  pending = setTimeout(() => { pending = null; save(); }, 2000);
+  pending.unref();
+}
+
+// Keys are 192-bit random, so a plain SHA-256 is enough (no password stretching needed).
+function hash(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsToMidnightUTC() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+function usageToday(record) {
+  const u = record.usage;
+  return u && u.day === today() ? u : { day: today(), tokens: 0, requests: 0 };
+}
+
+// Record without the hash, plus today's usage.
+function view(record) {
+  const { hash: _, ...rest } = record;
+  return { ...rest, usage: usageToday(record) };
+}
+
+function issue({ name, type = "secret", origins = [], scopes, rateLimit, dailyTokens } = {}) {
+  if (!name || typeof name !== "string") throw new TypeError('"name" is required');
+  if (!TYPES.includes(type)) throw new TypeError(`"type" must be one of ${TYPES.join(", ")}`);
+  if (!Array.isArray(origins) || origins.some(o => typeof o !== "string")) throw new TypeError('"origins" must be an array of origins');
+  if (type === "public" && !origins.length) throw new TypeError("public keys need at least one origin");
+  const allowed = DEFAULTS[type].scopes;
+  if (scopes != null && (!Array.isArray(scopes) || scopes.some(s => !allowed.includes(s)))) {
+    throw new TypeError(`"scopes" must be a subset of ${allowed.join(", ")}`);
+  }
+  for (const [field, v] of Object.entries({ rateLimit, dailyTokens })) {
+    if (v != null && !(Number.isInteger(v) && v >= 0)) throw new TypeError(`"${field}" must be a non-negative integer`);
+  }
+
+  load();
+  const key = `ih_${type === "public" ? "pub" : "sk"}_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    type,
+    prefix: key.slice(0, 12),
+    hash: hash(key),
+    origins,
+    scopes: scopes || allowed,
+    rateLimit: rateLimit ?? DEFAULTS[type].rateLimit,
+    dailyTokens: dailyTokens ?? DEFAULTS[type].dailyTokens,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    usage: null
+  };
+  store.keys.push(record);
+  byHash.set(record.hash, record);
+  save();
+  return { key, record: view(record) };
+}
+
+function get(id) {
+  return load().keys.find(k => k.id === id) || null;
+}
+
+function list() {
+  return load().keys.map(view);
+}
+
+function revoke(id) {
+  const record = get(id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    save();
+  }
+  return view(record);
+}
+
+// Adds spent tokens to the caller's daily total (no-op for keyless callers).
+function charge(client, tokens) {
+  const record = client?.keyId && get(client.keyId);
+  if (!record) return;
+  const u = usageToday(record);
+  record.usage = { day: u.day, tokens: u.tokens + Math.max(0, Math.round(tokens || 0)), requests: u.requests + 1 };
+  saveSoon();
+}
+
+// ---- Express middleware ----
+function presented(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1] : null;
+}
+
+function reject(res, code, message, retryAfter) {
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+  return errors.send(res, code, message, retryAfter ? { retryAfter } : {});
+}
+
+// Gate for a client route. Sets res.locals.client = { keyId, name, type, ip }
+// (keyId null for keyless callers when API_AUTH is optional).
+function guard(scope) {
+  return (req, res, next) => {
+    const ip = req.ip || req.socket.remoteAddress || "unknown";
+    const key = presented(req);
+    if (key) load();
+    const record = key ? byHash.get(hash(key)) : null;
+    const valid = Boolean(record && !record.revokedAt);
+
+    // a secret key's own limit replaces the per-IP one (one server, one IP, many users)
+    if (!valid || record.type !== "secret") {
+      const perIp = ipLimiter.take(ip);
+      if (!perIp.ok) return reject(res, "rate_limited", "Rate limit exceeded", perIp.retryAfter);
+    }
+
+    if (!key) {
+      if (MODE === "required") return reject(res, "api_key_required", "API key required");
+      res.locals.client = { keyId: null, name: "anonymous", type: null, ip };
+      return next();
+    }
+    if (!valid) return reject(res, "invalid_api_key", "Invalid API key");
+    if (!record.scopes.includes(scope)) return reject(res, "forbidden_scope", `API key not allowed for ${scope}`);
+    if (record.type === "public" && !record.origins.includes(req.get("origin"))) {
+      return reject(res, "forbidden_origin", "API key not allowed from this origin");
+    }
+
+    const perKey = keyLimiter.take(record.id, record.rateLimit);
+    if (!perKey.ok) return reject(res, "rate_limited", "Rate limit exceeded", perKey.retryAfter);
+    if (record.dailyTokens && usageToday(record).tokens >= record.dailyTokens) {
+      return reject(res, "quota_exceeded", "Daily token quota exceeded", secondsToMidnightUTC());
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    saveSoon();
+    res.locals.client = { keyId: record.id, name: record.name, type: record.type, ip };
+    next();
+  };
+}
+
+// Gate for /admin routes: `Authorization: Bearer <ADMIN_TOKEN>`.
+function admin(req, res, next) {
+  if (!ADMIN_TOKEN) return reject(res, "admin_disabled", "Admin API disabled (set ADMIN_TOKEN)");
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  const given = crypto.createHash("sha256").update(m ? m[1] : "").digest();
+  const expected = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+  if (!m || !crypto.timingSafeEqual(given, expected)) return reject(res, "admin_token_required", "Admin token required");
+  next();
+}
+
+module.exports = {
+  FILE,
+  MODE,
+  TYPES,
+  SCOPES,
+  issue,
+  get: id => (get(id) ? view(get(id)) : null),
+  list,
+  revoke,
+  charge,
+  guard,
+  admin,
+  flush: () => store && save()
+};
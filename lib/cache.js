@@ -0,0 +1,147 @@
+// lib/cache.js — response cache for repeated educational questions
+// Stores the raw model output (before the safety pass, which callers re-run on
+// every hit) under a hash of everything that shapes the answer. Keys are
+// namespaced ("chat", "translate", "enhance") so they can be purged separately.
+// Backends share one async interface — get(key), set(key, value, ttlMs),
+// purge(ns?) → count, size() — so a SQLite or Redis store can be dropped in.
+//   memory — in-process LRU (default)
+//   file   — one JSON file per entry under CACHE_DIR; survives restarts
+// Env (optional): CACHE_BACKEND=memory|file|off, CACHE_TTL_SEC (default 86400),
+//   CACHE_MAX_ENTRIES (default 1000, memory only), CACHE_DIR (default .data/cache)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { normalize } = require("./text");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+const BACKEND = ["memory", "file", "off"].includes(process.env.CACHE_BACKEND) ? process.env.CACHE_BACKEND : "memory";
+const TTL_MS = (Number(process.env.CACHE_TTL_SEC) || 86400) * 1000;
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+const DIR = process.env.CACHE_DIR || path.join(__dirname, "..", ".data", "cache");
+const NAMESPACES = ["chat", "translate", "enhance"];
+
+// ---- Backends ----
+function memoryStore(max) {
+  const entries = new Map(); // insertion order doubles as recency order
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.expires <= Date.now()) return null;
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttl) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttl });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    async purge(ns) {
+      let n = 0;
+      for (const key of [...entries.keys()]) {
+        if (!ns || key.startsWith(`${ns}:`)) { entries.delete(key); n++; }
+      }
+      return n;
+    },
+    async size() {
+      return entries.size;
+    }
+  };
+}
+
+function fileStore(dir) {
+  const fsp = fs.promises;
+  const fileOf = key => path.join(dir, `${key.replace(":", "-")}.json`);
+  return {
+    async get(key) {
+      try {
+        const e = JSON.parse(await fsp.readFile(fileOf(key), "utf8"));
+        if (e.expires > Date.now()) return e.value;
+        await fsp.unlink(fileOf(key)).catch(() => {});
+      } catch { /* missing or half-written entry: treat as a miss */ }
+      return null;
+    },
+    async set(key, value, ttl) {
+      await fsp.mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ value, expires: Date.now() + ttl }));
+      await fsp.rename(tmp, fileOf(key));
+    },
+    async purge(ns) {
+      const files = await fsp.readdir(dir).catch(() => []);
+      const doomed = files.filter(f => f.endsWith(".json") && (!ns || f.startsWith(`${ns}-`)));
+      await Promise.all(doomed.map(f => fsp.unlink(path.join(dir, f)).catch(() => {})));
+      return doomed.length;
+    },
+    async size() {
+      return (await fsp.readdir(dir).catch(() => [])).filter(f => f.endsWith(".json")).length;
+    }
+  };
+}
+
+const store = BACKEND === "file" ? fileStore(DIR) : BACKEND === "memory" ? memoryStore(MAX_ENTRIES) : null;
+const stats = { hits: 0, misses: 0, errors: 0 };
+
+// ---- Keys ----
+// `parts` must include everything that changes the answer (language, specialty,
+// prompt, provider choice…); free text is normalized so case, accents and
+// spacing differences share an entry.
+function key(ns, parts) {
+  const material = JSON.stringify(Object.keys(parts).sort().map(k => [k, parts[k] ?? null]));
+  return `${ns}:${crypto.createHash("sha256").update(material).digest("hex")}`;
+}
+
+function question(text) {
+  return normalize(text).replace(/[¿?¡!.,;:]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function promptHash(system) {
+  return crypto.createHash("sha256").update(String(system || "")).digest("hex").slice(0, 16);
+}
+
+// ---- Public API ----
+// Cache failures are logged and treated as misses; they never fail a request.
+async function get(k) {
+  if (!store) return null;
+  try {
+    const value = await store.get(k);
+    if (value) stats.hits++;
+    else stats.misses++;
+    metrics.cacheLookups.inc({ namespace: k.split(":")[0], result: value ? "hit" : "miss" });
+    return value;
+  } catch (err) {
+    stats.errors++;
+    metrics.cacheLookups.inc({ namespace: k.split(":")[0], result: "error" });
+    logger.error("cache.get.failed", { error: err });
+    return null;
+  }
+}
+
+async function set(k, value, ttl = TTL_MS) {
+  if (!store) return;
+  try {
+    await store.set(k, value, ttl);
+  } catch (err) {
+    stats.errors++;
+    logger.error("cache.set.failed", { error: err });
+  }
+}
+
+async function purge(ns) {
+  return store ? store.purge(ns) : 0;
+}
+
+async function info() {
+  return { backend: BACKEND, ttlSec: TTL_MS / 1000, size: store ? await store.size() : 0, ...stats };
+}
+
+// Hits / lookups since boot (null before the first lookup).
+function hitRatio() {
+  const lookups = stats.hits + stats.misses;
+  return lookups ? stats.hits / lookups : null;
+}
+
+module.exports = { BACKEND, NAMESPACES, enabled: !!store, key, question, promptHash, get, set, purge, info, hitRatio, memoryStore, fileStore };
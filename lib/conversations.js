@@ -0,0 +1,111 @@
+// lib/conversations.js — server-side conversation sessions for POST /chat
+// In-memory only: sessions vanish on restart, which is fine for a patient widget.
+// Env (optional): CONVERSATION_MAX_TURNS, CONVERSATION_TOKEN_BUDGET, CONVERSATION_TTL_MIN
+
+const crypto = require("crypto");
+
+const MAX_TURNS     = Number(process.env.CONVERSATION_MAX_TURNS) || 10;     // user+assistant pairs kept
+const TOKEN_BUDGET  = Number(process.env.CONVERSATION_TOKEN_BUDGET) || 3000; // approx tokens replayed
+const TTL_MS        = (Number(process.env.CONVERSATION_TTL_MIN) || 60) * 60 * 1000;
+const MAX_SESSIONS  = 5000;
+
+const sessions = new Map();
+
+// Rough estimate (~4 chars/token) — good enough for budgeting, no tokenizer dependency.
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function isExpired(conv) {
+  return Date.now() - conv.updatedAt > TTL_MS;
+}
+
+function sweep() {
+  for (const [id, conv] of sessions) {
+    if (isExpired(conv)) sessions.delete(id);
+  }
+  // Map keeps insertion order, so the oldest sessions go first
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+function create() {
+  sweep();
+  const now = Date.now();
+  const conv = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, messages: [] };
+  sessions.set(conv.id, conv);
+  return conv;
+}
+
+function get(id) {
+  if (!id) return null;
+  const conv = sessions.get(String(id));
+  if (!conv) return null;
+  if (isExpired(conv)) {
+    sessions.delete(conv.id);
+    return null;
+  }
+  return conv;
+}
+
+function remove(id) {
+  return sessions.delete(String(id));
+}
+
+// Store a completed exchange; the oldest turns are dropped past MAX_TURNS.
+function appendTurn(conv, userText, assistantText) {
+  conv.messages.push(
+    { role: "user", content: userText, at: Date.now() },
+    { role: "assistant", content: assistantText, at: Date.now() }
+  );
+  const excess = conv.messages.length - MAX_TURNS * 2;
+  if (excess > 0) conv.messages.splice(0, excess);
+  conv.updatedAt = Date.now();
+  // refresh position so sweep() evicts least recently used first
+  sessions.delete(conv.id);
+  sessions.set(conv.id, conv);
+}
+
+// History to replay for the next request: newest turns first until the token
+// budget is spent, always keeping whole user/assistant pairs so every provider
+// sees a history that starts with a user turn and alternates.
+function buildMessages(conv, userText) {
+  const next = { role: "user", content: userText };
+  let budget = TOKEN_BUDGET - estimateTokens(userText);
+  const kept = [];
+  const history = conv ? conv.messages : [];
+
+  for (let i = history.length - 2; i >= 0; i -= 2) {
+    const u = history[i];
+    const a = history[i + 1];
+    const cost = estimateTokens(u.content) + estimateTokens(a.content);
+    if (cost > budget) break;
+    budget -= cost;
+    kept.unshift({ role: u.role, content: u.content }, { role: a.role, content: a.content });
+  }
+  kept.push(next);
+  return kept;
+}
+
+function toJSON(conv) {
+  return {
+    conversationId: conv.id,
+    createdAt: new Date(conv.createdAt).toISOString(),
+    updatedAt: new Date(conv.updatedAt).toISOString(),
+    turns: conv.messages.length / 2,
+    messages: conv.messages.map(m => ({ role: m.role, content: m.content, at: new Date(m.at).toISOString() }))
+  };
+}
+
+module.exports = {
+  MAX_TURNS,
+  TOKEN_BUDGET,
+  estimateTokens,
+  create,
+  get,
+  remove,
+  appendTurn,
+  buildMessages,
+  toJSON
+};
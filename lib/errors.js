@@ -0,0 +1,81 @@
+// lib/errors.js — the one error envelope every route returns
+//   { error: { code, message, userMessage, requestId, ...details } }
+// `code` is stable and safe to branch on; `message` is for developers and may change;
+// `userMessage` is the lib/i18n catalog's `error.<code>` text in the caller's language,
+// safe to show to patients as is.
+// Shared by server.js, index.js and the handler cores, so all three deployments agree.
+
+const i18n = require("./i18n");
+
+const STATUS = {
+  invalid_json: 400,
+  validation_failed: 400,
+  unknown_provider: 400,
+  unknown_specialty: 400,
+  unsupported_language: 400,
+  api_key_required: 401,
+  invalid_api_key: 401,
+  admin_token_required: 401,
+  metrics_token_required: 401,
+  forbidden_scope: 403,
+  forbidden_origin: 403,
+  not_found: 404,
+  admin_disabled: 404,
+  method_not_allowed: 405,
+  payload_too_large: 413,
+  rate_limited: 429,
+  quota_exceeded: 429,
+  internal_error: 500,
+  upstream_error: 502,
+  provider_unavailable: 503
+};
+
+class ApiError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = STATUS[code] ? code : "internal_error";
+    this.status = STATUS[this.code];
+    this.details = details;
+  }
+}
+
+function envelope(code, message, details = {}, requestId = null, lang = i18n.REFERENCE) {
+  return { error: { code, message, userMessage: i18n.t(`error.${code}`, lang), requestId, ...details } };
+}
+
+// Express: sets the status and sends the envelope (lib/logger's trace fills in requestId
+// and records the code on the request's audit line). The language comes from the request.
+function send(res, code, message, details) {
+  if (res.locals?.audit) res.locals.audit.error = code;
+  return res.status(STATUS[code] || 500).json(envelope(code, message, details, res.locals?.requestId ?? null, i18n.langOf(res.req)));
+}
+
+// Handler cores: the { status, body } shape lib/adapters.js expects.
+function reply(code, message, details, requestId = null, lang = i18n.REFERENCE) {
+  return { status: STATUS[code] || 500, body: envelope(code, message, details, requestId, lang) };
+}
+
+// Maps anything thrown to { code, message, details }: ApiErrors keep theirs,
+// body-parser failures and provider/failover errors get their own codes, the
+// rest is an internal error whose text is not leaked.
+function classify(err) {
+  if (err instanceof ApiError) return { code: err.code, message: err.message, details: err.details };
+  if (err?.type === "entity.parse.failed") return { code: "invalid_json", message: "Request body is not valid JSON" };
+  if (err?.type === "entity.too.large") return { code: "payload_too_large", message: "Request body too large" };
+  if (err?.name === "FailoverError") {
+    const code = err.attempts?.every(a => a.skipped) ? "provider_unavailable" : "upstream_error";
+    return { code, message: err.message, details: { attempts: err.attempts } };
+  }
+  if (err?.name === "ProviderError") return { code: "upstream_error", message: err.message };
+  return { code: "internal_error", message: "Server error" };
+}
+
+// Final Express error middleware.
+function middleware(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const { code, message, details } = classify(err);
+  return send(res, code, message, details);
+}
+
+module.exports = { STATUS, ApiError, envelope, send, reply, classify, middleware };
@@ -0,0 +1,169 @@
+// lib/failover.js — ordered provider failover with retries, timeouts and circuit breaking
+// Env (optional):
+//   PROVIDER_TIMEOUT_MS (default 20000), <NAME>_TIMEOUT_MS per provider (e.g. GEMINI_TIMEOUT_MS)
+//   PROVIDER_RETRIES (default 2), PROVIDER_RETRY_BASE_MS (default 300)
+//   BREAKER_THRESHOLD (default 3 consecutive failures), BREAKER_COOLDOWN_MS (default 60000)
+
+const metrics = require("./metrics");
+
+const num = (v, d) => (v != null && v !== "" && !isNaN(Number(v)) ? Number(v) : d);
+
+const RETRIES    = num(process.env.PROVIDER_RETRIES, 2);
+const RETRY_BASE = num(process.env.PROVIDER_RETRY_BASE_MS, 300);
+const THRESHOLD  = num(process.env.BREAKER_THRESHOLD, 3);
+const COOLDOWN   = num(process.env.BREAKER_COOLDOWN_MS, 60000);
+
+function timeoutFor(name) {
+  return num(process.env[`${name.toUpperCase()}_TIMEOUT_MS`], num(process.env.PROVIDER_TIMEOUT_MS, 20000));
+}
+
+// ---- Circuit breaker ----
+// closed → (THRESHOLD consecutive failures) → open → (COOLDOWN) → half-open:
+// one trial request; success closes it, failure re-opens it.
+const breakers = new Map();
+
+function breaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { failures: 0, openedAt: null, trial: false, lastError: null });
+  }
+  return breakers.get(name);
+}
+
+function stateOf(b) {
+  if (b.openedAt == null) return "closed";
+  return Date.now() - b.openedAt >= COOLDOWN ? "half-open" : "open";
+}
+
+// Whether a request may go to this provider right now (claims the half-open trial slot).
+function allow(name) {
+  const b = breaker(name);
+  const state = stateOf(b);
+  if (state === "closed") return true;
+  if (state === "half-open" && !b.trial) {
+    b.trial = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(name) {
+  const b = breaker(name);
+  b.failures = 0;
+  b.openedAt = null;
+  b.trial = false;
+}
+
+function recordFailure(name, err) {
+  const b = breaker(name);
+  b.failures++;
+  b.lastError = String(err?.message || err).slice(0, 200);
+  if (b.trial || b.failures >= THRESHOLD) b.openedAt = Date.now();
+  b.trial = false;
+}
+
+// Give back a half-open trial slot without judging the provider.
+function release(name) {
+  breaker(name).trial = false;
+}
+
+function snapshot(names) {
+  const out = {};
+  for (const name of names) {
+    const b = breaker(name);
+    out[name] = {
+      state: stateOf(b),
+      failures: b.failures,
+      openUntil: b.openedAt == null ? null : new Date(b.openedAt + COOLDOWN).toISOString(),
+      lastError: b.lastError
+    };
+  }
+  return out;
+}
+
+// ---- Failover ----
+class FailoverError extends Error {
+  constructor(attempts) {
+    const last = [...attempts].reverse().find(a => a.error);
+    super(last ? `All providers failed (last: ${last.error})` : "No provider available");
+    this.name = "FailoverError";
+    this.attempts = attempts;
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(t); reject(signal.reason); }, { once: true });
+});
+
+function backoff(attempt) {
+  return RETRY_BASE * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE);
+}
+
+// Tries `fn(name, { timeout, signal })` for each provider in order. Retries
+// retryable errors (429/5xx/timeouts/network) with exponential backoff, skips
+// providers whose breaker is open, and moves on to the next provider otherwise.
+// Resolves { provider, result, attempts }; rejects with FailoverError.
+async function run(order, fn, { signal } = {}) {
+  const attempts = [];
+  for (const name of order) {
+    if (!allow(name)) {
+      attempts.push({ provider: name, ok: false, skipped: "circuit-open" });
+      metrics.failovers.inc({ from: name, reason: "circuit-open" });
+      continue;
+    }
+    const t0 = Date.now();
+    let tries = 0;
+    for (;;) {
+      tries++;
+      try {
+        const result = await fn(name, { timeout: timeoutFor(name), signal });
+        recordSuccess(name);
+        attempts.push({ provider: name, ok: true, tries, ms: Date.now() - t0 });
+        return { provider: name, result, attempts };
+      } catch (err) {
+        if (signal?.aborted) {
+          release(name);
+          throw err;
+        }
+        const retryable = err?.retryable !== false;
+        if (retryable && tries <= RETRIES) {
+          metrics.providerRetries.inc({ provider: name });
+          try {
+            await sleep(backoff(tries - 1), signal);
+          } catch (aborted) {
+            release(name);
+            throw aborted;
+          }
+          continue;
+        }
+        // bad requests (4xx, missing key) say nothing about provider health
+        if (retryable) recordFailure(name, err);
+        else release(name);
+        attempts.push({
+          provider: name,
+          ok: false,
+          tries,
+          ms: Date.now() - t0,
+          status: err?.status || null,
+          error: String(err?.message || err).slice(0, 300)
+        });
+        metrics.failovers.inc({ from: name, reason: "error" });
+        break;
+      }
+    }
+  }
+  throw new FailoverError(attempts);
+}
+
+module.exports = {
+  RETRIES,
+  FailoverError,
+  backoff,
+  run,
+  allow,
+  recordSuccess,
+  recordFailure,
+  release,
+  snapshot,
+  timeoutFor
+};
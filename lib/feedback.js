@@ -0,0 +1,162 @@
+// lib/feedback.js — patient ratings of answers (POST /feedback, GET /admin/feedback)
+// Every /chat answer's metadata (provider, model, prompt version, language, mode, …) is
+// kept in memory under its server-generated responseId for a while, so a later thumbs
+// up/down can be stored with it (POST /export also reads the mode). Ratings persist to
+// FEEDBACK_FILE, one per answer (a second rating replaces the first); comments are
+// PHI-redacted before they are stored. Never holds the answer text or the question;
+// translations keep a hash of their text (`answerHash`) so /export can match it.
+// Env (optional): FEEDBACK_FILE (default .data/feedback.json), FEEDBACK_WINDOW_MIN (how
+//                 long an answer can be rated, default 1440), FEEDBACK_RETENTION_DAYS (default 400)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const phi = require("./phi");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+const FILE = process.env.FEEDBACK_FILE || path.join(__dirname, "..", ".data", "feedback.json");
+const WINDOW_MS = (Number(process.env.FEEDBACK_WINDOW_MIN) || 1440) * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.FEEDBACK_RETENTION_DAYS) || 400;
+const MAX_ANSWERS = 20000;
+
+const RATINGS = ["up", "down"];
+const REASONS = ["inaccurate", "unsafe", "too_complex", "wrong_language"];
+const COMMENT_MAX = 1000;
+// export columns, in order
+const FIELDS = ["id", "at", "responseId", "rating", "reason", "comment", "phi", "route", "provider", "model", "promptVersion", "experiment", "lang", "specialty", "format", "triage", "safetyFlagged", "grade", "cache", "client", "requestId"];
+
+const counter = metrics.counter("infohealth_feedback_total", "Answer ratings received, by rating and reason.", ["rating", "reason"]);
+
+// ---- Answers awaiting a rating ----
+const answers = new Map();
+
+// Called for every /chat answer (server.js `audited`); `meta` is metadata only.
+function remember(responseId, meta) {
+  if (!responseId) return;
+  answers.delete(responseId);
+  answers.set(responseId, { ...meta, answeredAt: Date.now() });
+  // Map keeps insertion order, so the oldest answers go first
+  while (answers.size > MAX_ANSWERS) answers.delete(answers.keys().next().value);
+}
+
+// SHA-256 of an answer as the client shows it, ignoring surrounding whitespace.
+function digest(text) {
+  return crypto.createHash("sha256").update(String(text ?? "").trim()).digest("hex");
+}
+
+function answer(responseId) {
+  const a = answers.get(responseId);
+  if (a && Date.now() - a.answeredAt > WINDOW_MS) {
+    answers.delete(responseId);
+    return null;
+  }
+  return a || null;
+}
+
+// ---- Stored ratings ----
+let state = null;
+let saveFailed = false;
+
+function load() {
+  if (state) return state;
+  try {
+    state = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.error("feedback.read.failed", { file: FILE, error: err });
+    state = { version: 1, records: [] };
+  }
+  return state;
+}
+
+// Same write pattern as lib/usage: atomic rename; a read-only disk keeps ratings in memory.
+function save() {
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString();
+    state.records = state.records.filter(r => r.at >= cutoff);
+    fs.mkdirSync(path.dirname(FILE), { recursive: true });
+    const tmp = `${FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, FILE);
+  } catch (err) {
+    if (!saveFailed) logger.error("feedback.write.failed", { file: FILE, error: err });
+    saveFailed = true;
+  }
+}
+
+let pending = null;
+function saveSoon() {
+  if (pending) return;
+  pending = setTimeout(() => { pending = null; save(); }, 1000);
+  pending.unref();
+}
+
+// Stores a rating for a remembered answer. Returns { record, replaced }, or null when
+// the answer is unknown or too old to rate.
+function record({ responseId, rating, reason = null, comment = "" }, { client = null } = {}) {
+  const a = answer(responseId);
+  if (!a) return null;
+  const redacted = phi.redact(String(comment || "").trim().slice(0, COMMENT_MAX), phi.vault());
+  const rec = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    responseId,
+    requestId: a.requestId || null,
+    rating,
+    reason: reason || null,
+    comment: redacted.text || null,
+    phi: redacted.categories,
+    route: a.route,
+    provider: a.provider,
+    model: a.model || null,
+    promptVersion: a.promptVersion || null,
+    experiment: a.experiment || null,
+    lang: a.lang,
+    specialty: a.specialty || null,
+    format: a.format || null,
+    triage: a.triage || null,
+    safetyFlagged: a.safetyFlagged ?? null,
+    grade: a.grade ?? null,
+    cache: a.cache || null,
+    client
+  };
+  load();
+  const i = state.records.findIndex(r => r.responseId === responseId);
+  const replaced = i >= 0;
+  if (replaced) state.records.splice(i, 1);
+  state.records.push(rec);
+  saveSoon();
+  counter.inc({ rating, reason: rec.reason || "none" });
+  return { record: rec, replaced };
+}
+
+// ---- Export ----
+// { from, to } are inclusive YYYY-MM-DD days (default: the last 30 days, UTC).
+function query({ from, to, rating } = {}) {
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  const today = new Date().toISOString().slice(0, 10);
+  from = from || new Date(Date.now() - 29 * 86400000).toISOString().slice(0, 10);
+  to = to || today;
+  if (!day.test(from) || !day.test(to)) throw new TypeError('"from" and "to" must be YYYY-MM-DD');
+  if (rating != null && !RATINGS.includes(rating)) throw new TypeError(`"rating" must be one of ${RATINGS.join(", ")}`);
+
+  const records = load().records.filter(r => r.at.slice(0, 10) >= from && r.at.slice(0, 10) <= to && (!rating || r.rating === rating));
+  const totals = { up: 0, down: 0, reasons: Object.fromEntries(REASONS.map(r => [r, 0])) };
+  for (const r of records) {
+    totals[r.rating]++;
+    if (r.reason) totals.reasons[r.reason]++;
+  }
+  return { from, to, rating: rating || null, count: records.length, totals, records };
+}
+
+// RFC 4180 CSV. Cells that a spreadsheet would read as a formula are prefixed with '.
+function toCSV(records) {
+  const cell = v => {
+    let s = v == null ? "" : Array.isArray(v) ? v.join(";") : String(v);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [FIELDS.join(","), ...records.map(r => FIELDS.map(f => cell(r[f])).join(","))].join("\r\n") + "\r\n";
+}
+
+module.exports = { RATINGS, REASONS, COMMENT_MAX, FIELDS, remember, answer, digest, record, query, toCSV, flush: () => state && save() };
@@ -0,0 +1,135 @@
+// lib/handlers/enhance.js — POST /enhance core: enrich curated guidance for a KB topic
+// Mounted by server.js (Express), ai_enhance.js (Netlify) and index.js (Firebase) via lib/adapters.js.
+
+const providers = require("../providers");
+const safety = require("../safety");
+const readability = require("../readability");
+const knowledge = require("../knowledge");
+const usage = require("../usage");
+const apikeys = require("../apikeys");
+const cache = require("../cache");
+const validate = require("../validate");
+const errors = require("../errors");
+const i18n = require("../i18n");
+const prompts = require("../prompts");
+const language = require("../language");
+const phi = require("../phi");
+
+// "Average health literacy": enhancements read at grade 8 unless the caller asks for
+// another readingLevel, and stay near the length the prompt asks for.
+const DEFAULT_LEVEL = 8;
+const WORD_RANGE = [170, 220];
+
+// Enhancement uses its own model picks; keys, endpoints and parsing come from the shared registry.
+const ENHANCE_MODELS = {
+  openai: "gpt-4o-mini",
+  anthropic: "claude-3-5-sonnet-20240620",
+  gemini: "gemini-1.5-flash"
+};
+
+async function enhance(req) {
+  try {
+    if (req.method !== "POST") return errors.reply("method_not_allowed", "Use POST /enhance with JSON { base, topic, lang?, readingLevel? }", {}, req.requestId, i18n.langOf(req));
+    const { base, topic, lang, readingLevel = DEFAULT_LEVEL } = validate.assert("enhance", parseBody(req.body));
+
+    // only topics the vetted knowledge base covers get enhanced
+    const safe = knowledge.topics().includes(String(topic).toLowerCase());
+    if (!safe) return json(200, { enhanced: base });
+
+    const baseClamped = String(base).slice(0, 6000);
+    const langHint = (lang === "es") ? "es" : "en";
+    // the base may carry a patient's details; the vendor only sees placeholders
+    const vault = phi.vault();
+    const redaction = phi.redact(baseClamped, vault);
+    const phiReport = { redacted: redaction.count > 0, count: redaction.count, categories: redaction.categories };
+    // wording lives in the enhance template (data/prompts); experiments keyed by X-Client-Id
+    const picked = prompts.pick("enhance", prompts.subjectOf(req));
+    const vars = {
+      topic,
+      readingLevel: readability.directive(readingLevel, "en"),
+      minWords: WORD_RANGE[0],
+      maxWords: WORD_RANGE[1],
+      language: language.NAMES[langHint],
+      base: redaction.text
+    };
+    const note = phi.promptNote(vault);
+    const system = prompts.render(picked.template, "system", vars) + (note ? `\n\n${note}` : "");
+    const prompt = prompts.render(picked.template, "user", vars);
+
+    const meter = usage.meter({ route: "enhance", client: req.client?.keyId });
+
+    // same base/topic/lang → same enhancement; the safety pass below still runs on hits.
+    // Bases that carried PHI are never cached.
+    const cacheKey = redaction.count ? null : cache.key("enhance", { promptVersion: picked.version, prompt: cache.promptHash(`${system}\n${prompt}`), models: ENHANCE_MODELS });
+    const cached = cacheKey ? await cache.get(cacheKey) : null;
+    let enhanced = cached?.text || null;
+    let used = cached?.provider || null;
+
+    // OpenAI → Claude → Gemini (as last fallback); unconfigured providers are skipped
+    for (const name of enhanced ? [] : ["openai", "anthropic", "gemini"]) {
+      if (!providers.isConfigured(name)) continue;
+      try {
+        const r = await providers.complete(name, {
+          model: ENHANCE_MODELS[name],
+          system,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.4,
+          maxTokens: 400
+        });
+        meter.add(name, r, { prompt });
+        enhanced = r.text;
+        used = name;
+      } catch (e) { /* fall through */ }
+      if (enhanced) break;
+    }
+
+    if (!enhanced) return json(200, { enhanced: baseClamped });
+
+    // Reading level and length are checked on every answer and simplified once when
+    // missed; the fitted text is what gets cached, so a hit is only re-scored and
+    // never goes back to a provider
+    const rewrite = cached ? undefined : r => providers.complete(used, { ...r, model: ENHANCE_MODELS[used] }).then(out => {
+      meter.add(used, out, { prompt: r.messages[0].content });
+      return out.text;
+    });
+    const fitted = await readability.fit(enhanced, { lang: langHint, target: readingLevel, words: WORD_RANGE, rewrite });
+    if (cacheKey && !cached) await cache.set(cacheKey, { text: fitted.text, provider: used });
+
+    // Output safety pass; the curated base text is the safe fallback
+    const checked = await safety.apply(fitted.text, {
+      lang: langHint,
+      fallback: baseClamped,
+      rewrite
+    });
+    const spent = meter.total();
+    apikeys.charge(req.client, spent.totalTokens);
+    return json(200, {
+      enhanced: phi.restore(checked.text, vault),
+      safety: checked.safety,
+      readability: fitted.readability,
+      promptVersion: picked.version,
+      usage: spent,
+      cache: !cacheKey ? "bypass" : cached ? "hit" : "miss",
+      phi: phiReport
+    });
+  } catch (e) {
+    const { code, message, details } = errors.classify(e);
+    return errors.reply(code, message, details, req.requestId, i18n.langOf(req));
+  }
+}
+
+// Netlify hands over the raw string; Express/Firebase have already parsed JSON.
+function parseBody(body) {
+  if (typeof body !== "string") return body || {};
+  try {
+    return JSON.parse(body || "{}");
+  } catch {
+    throw new errors.ApiError("invalid_json", "Request body is not valid JSON");
+  }
+}
+
+function json(status, body) {
+  return { status, body };
+}
+
+module.exports = enhance;
@@ -0,0 +1,14 @@
+// lib/handlers/hello.js — liveness probe shared by every deployment target
+
+async function hello(req) {
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      method: req.method,
+      message: "Functions are working."
+    }
+  };
+}
+
+module.exports = hello;
@@ -0,0 +1,227 @@
+// lib/handout.js — printable patient handouts from a chat answer or an enhancement (POST /export)
+// One document (question or topic, answer, language, date, disclaimer, sources) rendered
+// two ways: standalone HTML (inline styles, no scripts or remote assets, print
+// stylesheet) and PDF (lib/pdf.js). The content comes from the client, so the answer
+// passes the output safety filter again (except translations, which /chat never
+// checks either), only the knowledge base's own sources are cited, and every string
+// is escaped. Labels come from the i18n catalog (export.*).
+// Env (optional): HANDOUT_BRAND (default the catalog's ui.title), HANDOUT_COLOR (#rrggbb),
+//                 HANDOUT_FOOTER (e.g. the clinic's name and phone number)
+
+const safety = require("./safety");
+const structured = require("./structured");
+const knowledge = require("./knowledge");
+const metrics = require("./metrics");
+const i18n = require("./i18n");
+const pdf = require("./pdf");
+
+const SOURCES = ["chat", "enhance"];
+const FORMATS = ["html", "pdf"];
+const MAX_ANSWER = 20000;
+const MAX_SOURCES = 20;
+
+const BRAND = process.env.HANDOUT_BRAND || "";
+const COLOR = /^#[0-9a-f]{6}$/i.test(process.env.HANDOUT_COLOR || "") ? process.env.HANDOUT_COLOR : "#1d6fb8";
+const FOOTER = process.env.HANDOUT_FOOTER || "";
+
+// ---- Document ----
+// Same verdict shape and metrics as structured.sanitize, for plain text.
+function checkText(text, lang) {
+  const result = safety.check(text);
+  if (!result.flagged) return { text, safety: { flagged: false, reasons: [], action: "none" } };
+  const action = safety.mode === "fallback" ? "fallback" : "redacted";
+  for (const reason of result.reasons) metrics.safetyFlags.inc({ reason, action });
+  return {
+    text: action === "fallback" ? safety.fallbackText(lang) : safety.redact(text, lang),
+    safety: { flagged: true, reasons: result.reasons, action }
+  };
+}
+
+// POST /export body (validated by lib/validate) → { doc, safety }. `translation` marks a
+// translate-mode /chat answer (a reproduced prescription label, say): redacting dosing
+// from it would change the user's own text, so it is not checked.
+function build({ source = "chat", lang = "en", question, topic, answer, structured: sections, sources = [], responseId }, { now = new Date(), translation = false } = {}) {
+  lang = i18n.has(lang) ? lang : i18n.REFERENCE;
+  const t = key => i18n.t(key, lang);
+
+  let doc = sections ? structured.normalize(sections) : null;
+  let text = String(answer || "").trim().slice(0, MAX_ANSWER);
+  let check;
+  if (translation) check = { flagged: false, reasons: [], action: "none" };
+  else if (doc) ({ doc, safety: check } = structured.sanitize(doc, lang));
+  else ({ text, safety: check } = checkText(text, lang));
+
+  const cited = [];
+  for (const s of (Array.isArray(sources) ? sources : []).slice(0, MAX_SOURCES)) {
+    const vetted = knowledge.source(s?.url);
+    if (vetted && !cited.some(c => c.url === vetted.url)) cited.push(vetted);
+  }
+
+  return {
+    doc: {
+      brand: BRAND || t("ui.title"),
+      color: COLOR,
+      footer: FOOTER,
+      lang,
+      languageName: i18n.catalog(lang).name,
+      source,
+      title: t("export.title"),
+      prompt: source === "enhance"
+        ? { label: t("export.topic"), text: String(topic || "").trim() }
+        : { label: t("export.question"), text: String(question || "").trim() },
+      blocks: doc ? sectionBlocks(doc, lang) : textBlocks(text),
+      sources: cited,
+      date: now,
+      dateText: new Intl.DateTimeFormat(lang, { dateStyle: "long", timeZone: "UTC" }).format(now),
+      disclaimer: t("export.disclaimer"),
+      reference: responseId || null,
+      labels: {
+        answer: t("export.answer"),
+        sources: t("ui.sources"),
+        date: t("export.date"),
+        language: t("export.language"),
+        reference: t("export.reference")
+      }
+    },
+    safety: check
+  };
+}
+
+// Paragraphs, headings and bullet lists of a plain-text answer:
+// [{ type: "p" | "h", text } | { type: "list", items }].
+function textBlocks(text) {
+  const blocks = [];
+  for (const line of text.split(/\n/)) {
+    const bullet = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.*)$/);
+    const last = blocks[blocks.length - 1];
+    if (bullet) {
+      if (last?.type === "list") last.items.push(bullet[1].trim());
+      else blocks.push({ type: "list", items: [bullet[1].trim()] });
+    } else if (line.trim()) {
+      // a line ending in ":" before a list reads as its heading
+      blocks.push({ type: /:\s*$/.test(line) ? "h" : "p", text: line.trim().replace(/:\s*$/, "") });
+    }
+  }
+  return blocks;
+}
+
+function sectionBlocks(doc, lang) {
+  const blocks = [{ type: "p", text: doc.summary }];
+  for (const name of structured.SECTIONS.filter(s => s !== "summary")) {
+    if (!doc[name].length) continue;
+    blocks.push({ type: "h", text: i18n.t(`section.${name}`, lang), seekCare: name === "whenToSeekCare" });
+    blocks.push({ type: "list", items: doc[name] });
+  }
+  return blocks;
+}
+
+function filename(doc, format) {
+  return `handout-${doc.date.toISOString().slice(0, 10)}.${format}`;
+}
+
+// ---- HTML ----
+const esc = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function html(doc) {
+  const body = doc.blocks.map(b => {
+    if (b.type === "h") return `<h3${b.seekCare ? ' class="seek-care"' : ""}>${esc(b.text)}</h3>`;
+    if (b.type === "list") return `<ul>${b.items.map(i => `<li>${esc(i)}</li>`).join("")}</ul>`;
+    return `<p>${esc(b.text)}</p>`;
+  }).join("\n      ");
+  const sources = doc.sources.length
+    ? `
+    <section class="sources">
+      <h2>${esc(doc.labels.sources)}</h2>
+      <ol>${doc.sources.map(s => `<li><a href="${esc(s.url)}">${esc(s.title)}</a>${s.publisher ? ` — ${esc(s.publisher)}` : ""}<br><span class="url">${esc(s.url)}</span></li>`).join("")}</ol>
+    </section>`
+    : "";
+  const prompt = doc.prompt.text
+    ? `
+    <section class="prompt">
+      <h2>${esc(doc.prompt.label)}</h2>
+      <p>${esc(doc.prompt.text)}</p>
+    </section>`
+    : "";
+  return `<!doctype html>
+<html lang="${esc(doc.lang)}">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(doc.brand)} — ${esc(doc.title)}</title>
+  <style>
+    body { font: 12pt/1.5 Helvetica, Arial, sans-serif; color: #222; max-width: 7in; margin: 0.5in auto; padding: 0 0.25in; }
+    header { border-bottom: 2px solid ${doc.color}; margin-bottom: 1em; }
+    .brand { color: ${doc.color}; font-weight: bold; font-size: 16pt; }
+    h1 { font-size: 14pt; margin: 0.2em 0; }
+    h2 { font-size: 12pt; color: ${doc.color}; margin: 1.2em 0 0.3em; }
+    h3 { font-size: 11.5pt; margin: 1em 0 0.2em; }
+    h3.seek-care { color: #b00020; }
+    .meta, .url, footer { color: #666; font-size: 9.5pt; }
+    .url { word-break: break-all; }
+    .disclaimer { border: 1px solid #ccc; padding: 0.6em 0.8em; color: #444; }
+    a { color: ${doc.color}; }
+    @media print { body { margin: 0; max-width: none; } a { color: inherit; text-decoration: none; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="brand">${esc(doc.brand)}</div>
+    <h1>${esc(doc.title)}</h1>
+    <p class="meta">${esc(doc.labels.date)}: ${esc(doc.dateText)} · ${esc(doc.labels.language)}: ${esc(doc.languageName)}</p>
+  </header>
+  <main>${prompt}
+    <section class="answer">
+      <h2>${esc(doc.labels.answer)}</h2>
+      ${body}
+    </section>${sources}
+  </main>
+  <footer>
+    <p class="disclaimer">${esc(doc.disclaimer)}</p>
+    <p>${[doc.footer, doc.reference ? `${doc.labels.reference}: ${doc.reference}` : ""].filter(Boolean).map(esc).join(" · ")}</p>
+  </footer>
+</body>
+</html>
+`;
+}
+
+// ---- PDF ----
+function toPdf(doc) {
+  const color = [1, 3, 5].map(i => parseInt(doc.color.slice(i, i + 2), 16));
+  const out = pdf.create({ title: `${doc.brand} — ${doc.title}`, author: doc.brand, date: doc.date });
+  out.text(doc.brand, { size: 16, bold: true, color, after: 2 });
+  out.text(doc.title, { size: 13, bold: true, after: 2 });
+  out.text(`${doc.labels.date}: ${doc.dateText} · ${doc.labels.language}: ${doc.languageName}`, { size: 9, color: [102, 102, 102], after: 0 });
+  out.rule(color);
+
+  const heading = text => out.text(text, { size: 12, bold: true, color, after: 4 });
+  if (doc.prompt.text) {
+    heading(doc.prompt.label);
+    out.text(doc.prompt.text);
+    out.space(6);
+  }
+  heading(doc.labels.answer);
+  for (const b of doc.blocks) {
+    if (b.type === "h") out.text(b.text, { size: 11, bold: true, color: b.seekCare ? [176, 0, 32] : [34, 34, 34], after: 3 });
+    else if (b.type === "list") b.items.forEach(item => out.bullet(item));
+    else out.text(b.text);
+  }
+  if (doc.sources.length) {
+    out.space(6);
+    heading(doc.labels.sources);
+    for (const s of doc.sources) {
+      out.bullet(`${s.title}${s.publisher ? ` — ${s.publisher}` : ""}`, { after: 0 });
+      out.text(s.url, { size: 9, indent: 14, color: [102, 102, 102], after: 3 });
+    }
+  }
+  out.space(8);
+  out.rule();
+  out.text(doc.disclaimer, { size: 9.5, color: [68, 68, 68] });
+
+  const note = [doc.footer, doc.reference ? `${doc.labels.reference}: ${doc.reference}` : ""].filter(Boolean).join(" · ");
+  return out.toBuffer({
+    footer: (page, pages) => [note, i18n.t("export.page", doc.lang, { page, pages })].filter(Boolean).join(" · ")
+  });
+}
+
+module.exports = { SOURCES, FORMATS, MAX_ANSWER, MAX_SOURCES, build, filename, html, pdf: toPdf };
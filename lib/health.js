@@ -0,0 +1,69 @@
+// lib/health.js — live provider probes for GET /health?deep=1
+// Each configured provider gets a one-token completion with a short timeout, all
+// in parallel. Results are cached for a few seconds (and concurrent callers share
+// one run) so a dashboard or load balancer polling often doesn't spend tokens on
+// every hit. Probes go around the failover breakers and usage accounting: they
+// report provider health, they don't change it.
+// Env (optional): HEALTH_PROBE_TIMEOUT_MS (default 5000), HEALTH_PROBE_TTL_SEC (default 30)
+
+const providers = require("./providers");
+const metrics = require("./metrics");
+
+const TIMEOUT_MS = Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 5000;
+const TTL_MS = (Number(process.env.HEALTH_PROBE_TTL_SEC) || 30) * 1000;
+
+let last = null;     // { at, report }
+let inflight = null; // shared promise while a probe run is in progress
+
+async function probe(name) {
+  if (!providers.isConfigured(name)) return { status: "unconfigured" };
+  const t0 = Date.now();
+  try {
+    const r = await providers.complete(name, {
+      messages: [{ role: "user", content: "ping" }],
+      maxTokens: 1,
+      temperature: 0,
+      timeout: TIMEOUT_MS
+    });
+    return { status: "up", ms: Date.now() - t0, model: r.model };
+  } catch (err) {
+    return { status: "down", ms: Date.now() - t0, code: err?.status || null, error: String(err?.message || err).slice(0, 200) };
+  }
+}
+
+// ok: every configured provider answered; degraded: some did; down: none did (or none configured).
+function overall(results) {
+  const configured = Object.values(results).filter(r => r.status !== "unconfigured");
+  const up = configured.filter(r => r.status === "up").length;
+  if (configured.length && up === configured.length) return "ok";
+  return up ? "degraded" : "down";
+}
+
+async function run() {
+  const names = providers.names();
+  const results = Object.fromEntries(await Promise.all(names.map(async n => [n, await probe(n)])));
+  return { status: overall(results), checkedAt: new Date().toISOString(), timeoutMs: TIMEOUT_MS, providers: results };
+}
+
+// Resolves the latest report, probing again once it is older than the TTL.
+async function deep() {
+  if (last && Date.now() - last.at < TTL_MS) return { ...last.report, cached: true };
+  if (!inflight) {
+    inflight = run()
+      .then(report => {
+        last = { at: Date.now(), report };
+        return report;
+      })
+      .finally(() => { inflight = null; });
+  }
+  return { ...(await inflight), cached: false };
+}
+
+// 1/0 per configured provider from the latest probe run (nothing until the first run).
+metrics.gauge("infohealth_provider_up", "Result of the latest live probe (GET /health?deep=1): 1 up, 0 down.", ["provider"], () =>
+  Object.entries(last?.report.providers || {})
+    .filter(([, r]) => r.status !== "unconfigured")
+    .map(([provider, r]) => ({ labels: { provider }, value: r.status === "up" ? 1 : 0 }))
+);
+
+module.exports = { TIMEOUT_MS, TTL_MS, deep, probe };
@@ -0,0 +1,88 @@
+// lib/i18n.js — message catalogs for user-facing strings (data/i18n/<lang>.json)
+// One catalog per language; English is the reference and fills in missing keys.
+// Served to the frontend by GET /i18n/:lang (chat.js) and used by the backend for
+// fallback messages, structured-answer headings and the `userMessage` of error
+// envelopes, so the UI and every deployment say the same thing.
+// Env (optional): I18N_DIR
+
+const fs = require("fs");
+const path = require("path");
+
+const DIR = process.env.I18N_DIR || path.join(__dirname, "..", "data", "i18n");
+const REFERENCE = "en";
+
+const catalogs = {};
+for (const file of fs.readdirSync(DIR).filter(f => f.endsWith(".json")).sort()) {
+  const catalog = JSON.parse(fs.readFileSync(path.join(DIR, file), "utf8"));
+  catalogs[catalog.lang || path.basename(file, ".json")] = catalog;
+}
+if (!catalogs[REFERENCE]) throw new Error(`i18n: ${REFERENCE}.json missing from ${DIR}`);
+
+const LANGS = Object.keys(catalogs);
+const merged = new Map();
+
+function has(lang) {
+  return Object.prototype.hasOwnProperty.call(catalogs, lang);
+}
+
+// Every key for `lang`, English where the translation is missing.
+function messages(lang) {
+  if (!has(lang)) lang = REFERENCE;
+  if (!merged.has(lang)) merged.set(lang, { ...catalogs[REFERENCE].messages, ...catalogs[lang].messages });
+  return merged.get(lang);
+}
+
+// The message for `key` with {name} placeholders filled from `vars`; the key itself
+// if no catalog has it (visible in the UI, so a typo is noticed).
+function t(key, lang = REFERENCE, vars = {}) {
+  const text = messages(lang)[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+// Base languages from an Accept-Language header, best first ("es-MX,en;q=0.5" → es, en).
+function accepted(header) {
+  return String(header || "")
+    .split(",")
+    .map(part => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { lang: tag.toLowerCase().split("-")[0], q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .filter(a => a.lang && a.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(a => a.lang);
+}
+
+// Language to answer a request in: body prefer.lang or lang, then Accept-Language, then English.
+function langOf(req) {
+  const body = req?.body && typeof req.body === "object" ? req.body : {};
+  const header = typeof req?.get === "function" ? req.get("accept-language") : req?.headers?.["accept-language"];
+  const wanted = [body.prefer?.lang, body.lang, ...accepted(header)];
+  return wanted.find(lang => typeof lang === "string" && has(lang.toLowerCase()))?.toLowerCase() || REFERENCE;
+}
+
+// What GET /i18n/:lang serves, or null for a language without a catalog.
+function catalog(lang) {
+  if (!has(lang)) return null;
+  const c = catalogs[lang];
+  return { lang, name: c.name, version: c.version, messages: messages(lang) };
+}
+
+function list() {
+  return LANGS.map(lang => ({ lang, name: catalogs[lang].name, version: catalogs[lang].version }));
+}
+
+// Keys a catalog lacks, or has with different placeholders, compared with English
+// (scripts/i18n-check.js).
+function problems(lang) {
+  const reference = catalogs[REFERENCE].messages;
+  const own = catalogs[lang]?.messages || {};
+  const vars = s => (String(s).match(/\{\w+\}/g) || []).sort().join(",");
+  return {
+    missing: Object.keys(reference).filter(k => !(k in own)),
+    extra: Object.keys(own).filter(k => !(k in reference)),
+    placeholders: Object.keys(own).filter(k => k in reference && vars(own[k]) !== vars(reference[k]))
+  };
+}
+
+module.exports = { REFERENCE, LANGS, version: catalogs[REFERENCE].version, has, messages, t, accepted, langOf, catalog, list, problems };
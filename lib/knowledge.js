@@ -0,0 +1,205 @@
+// lib/knowledge.js — curated patient-education knowledge base with BM25 retrieval
+// Articles: data/kb/articles/<topic>.<lang>.json (vetted, with source citations)
+// Index:    data/kb/index.json, built by `npm run kb:index`; rebuilt in memory
+//           with a warning when missing or older than data/kb/kb.json's version.
+// Each article section is one retrievable passage.
+
+const fs = require("fs");
+const path = require("path");
+const { normalize } = require("./text");
+const logger = require("./logger");
+
+const KB_DIR = process.env.KB_DIR || path.join(__dirname, "..", "data", "kb");
+const ARTICLES_DIR = path.join(KB_DIR, "articles");
+const INDEX_FILE = path.join(KB_DIR, "index.json");
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set((
+  // en
+  "a an and are as at be but by can do does for from has have how i if in into is it its me my of on or " +
+  "our should so than that the their them then there these they this to too was what when where which " +
+  "who why will with you your about also more most what's it's i'm tell please explain know need want " +
+  "get give like much many some any just ok thanks thank help hi hello " +
+  // es
+  "al algo como con cual cuales cuando de del el ella ellos en era es esa ese eso esta este esto estos " +
+  "hay la las le les lo los mas me mi mis muy no nos o para pero por que quien se ser si sin sobre su sus " +
+  "tambien te tiene tengo tu un una uno unos y ya dime explica explicame quiero saber necesito gracias " +
+  "ayuda hola favor"
+).split(" "));
+
+// Light stemming: plurals plus -ic/-ico/-ica adjectives, so "inhalers"/"inhaler",
+// "niños"/"niño" and "diabetes"/"diabetic"/"diabética" meet.
+function stem(word) {
+  let w = word;
+  if (w.length > 4 && w.endsWith("es") && !w.endsWith("ies")) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  if (w.length > 6 && /ic[oa]$/.test(w)) w = w.slice(0, -3);
+  else if (w.length > 6 && w.endsWith("ic")) w = w.slice(0, -2);
+  return w;
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function termFreq(tokens) {
+  const tf = {};
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  return tf;
+}
+
+function readArticles() {
+  return fs.readdirSync(ARTICLES_DIR)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(f => JSON.parse(fs.readFileSync(path.join(ARTICLES_DIR, f), "utf8")));
+}
+
+// Builds the serializable index from the article files.
+function build() {
+  const { version } = JSON.parse(fs.readFileSync(path.join(KB_DIR, "kb.json"), "utf8"));
+  const articles = {};
+  const docs = [];
+  const df = {};
+
+  for (const a of readArticles()) {
+    articles[a.id] = {
+      id: a.id,
+      topic: a.topic,
+      lang: a.lang,
+      title: a.title,
+      version: a.version,
+      reviewed: a.reviewed,
+      sources: a.sources
+    };
+    // title and keywords ride along with every passage so short sections still match the topic
+    const boost = [a.title, ...(a.keywords || [])].join(" ");
+    a.sections.forEach((s, i) => {
+      const tokens = tokenize(`${boost} ${(s.keywords || []).join(" ")} ${s.heading} ${s.text}`);
+      const tf = termFreq(tokens);
+      for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+      docs.push({
+        id: `${a.id}#${i}`,
+        articleId: a.id,
+        topic: a.topic,
+        lang: a.lang,
+        heading: s.heading,
+        text: s.text,
+        len: tokens.length,
+        tf
+      });
+    });
+  }
+
+  const avgdl = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1);
+  return { kbVersion: version, builtAt: new Date().toISOString(), k1: K1, b: B, avgdl, df, docs, articles };
+}
+
+function load() {
+  const { version } = JSON.parse(fs.readFileSync(path.join(KB_DIR, "kb.json"), "utf8"));
+  try {
+    const idx = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+    if (idx.kbVersion === version) return idx;
+    logger.warn("knowledge.index.stale", { indexVersion: idx.kbVersion, expected: version, hint: "run npm run kb:index" });
+  } catch {
+    logger.warn("knowledge.index.missing", { file: INDEX_FILE, hint: "run npm run kb:index" });
+  }
+  return build();
+}
+
+let index = null;
+function getIndex() {
+  if (!index) index = load();
+  return index;
+}
+
+// BM25 over passages, optionally restricted to a language and/or topics.
+// Passages scoring under `relative` × the best score are dropped so a strong
+// hit doesn't drag in loosely related articles.
+// Returns [{ id, articleId, topic, lang, title, heading, text, score }] best first.
+function search(query, { lang, topics, k = 3, minScore = 1.5, relative = 0.6 } = {}) {
+  const idx = getIndex();
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+  const N = idx.docs.length;
+
+  const scored = [];
+  for (const d of idx.docs) {
+    if (lang && d.lang !== lang) continue;
+    if (topics && !topics.includes(d.topic)) continue;
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf[t];
+      if (!f) continue;
+      const n = idx.df[t] || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * (f * (idx.k1 + 1)) / (f + idx.k1 * (1 - idx.b + idx.b * d.len / idx.avgdl));
+    }
+    if (score >= minScore) scored.push({ d, score });
+  }
+
+  scored.sort((x, y) => y.score - x.score);
+  const floor = scored.length ? scored[0].score * relative : 0;
+  return scored
+    .filter(s => s.score >= floor)
+    .slice(0, k)
+    .map(({ d, score }) => ({
+      id: d.id,
+      articleId: d.articleId,
+      topic: d.topic,
+      lang: d.lang,
+      title: idx.articles[d.articleId].title,
+      heading: d.heading,
+      text: d.text,
+      score: Math.round(score * 100) / 100
+    }));
+}
+
+// Reference block appended to the system prompt; numbered so the model can tell passages apart.
+function promptContext(passages) {
+  if (!passages.length) return "";
+  const lines = passages.map((p, i) => `[${i + 1}] ${p.title} — ${p.heading}: ${p.text}`);
+  return "Reference passages from our vetted patient-education library. Base your answer on them when they are relevant, " +
+    "do not add facts that contradict them, and do not mention passage numbers.\n" + lines.join("\n");
+}
+
+// Citations for the retrieved passages, one entry per source link, article order preserved.
+function sourcesFor(passages) {
+  const idx = getIndex();
+  const seen = new Set();
+  const out = [];
+  for (const p of passages) {
+    const article = idx.articles[p.articleId];
+    for (const s of article.sources) {
+      if (seen.has(s.url)) continue;
+      seen.add(s.url);
+      out.push({ articleId: article.id, topic: article.topic, title: s.title, publisher: s.publisher, url: s.url });
+    }
+  }
+  return out;
+}
+
+// The vetted source with this URL, or null: handouts (lib/handout.js) cite only the
+// library's own sources, whatever list the client sends.
+function source(url) {
+  for (const article of Object.values(getIndex().articles)) {
+    const s = article.sources.find(x => x.url === url);
+    if (s) return { articleId: article.id, topic: article.topic, title: s.title, publisher: s.publisher, url: s.url };
+  }
+  return null;
+}
+
+function topics() {
+  return [...new Set(Object.values(getIndex().articles).map(a => a.topic))].sort();
+}
+
+function version() {
+  return getIndex().kbVersion;
+}
+
+module.exports = { INDEX_FILE, tokenize, build, search, promptContext, sourcesFor, source, topics, version };
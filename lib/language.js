@@ -0,0 +1,109 @@
+// lib/language.js — language detection, translate-intent routing and glossary protection
+// Shared by server.js (/chat, /translate) and index.js (Firebase chat).
+// Supported languages: en, es.
+
+const path = require("path");
+const { normalize } = require("./text");
+
+const LANGS = ["en", "es"];
+const NAMES = { en: "English", es: "Spanish" };
+
+const glossary = require(path.join(__dirname, "..", "data", "glossary.json"));
+
+// ---- Detection ----
+const ES_WORDS = new Set(("el la los las que de del para por con como es una un mi tengo dolor presion " +
+  "y o pero porque cuando donde cual puedo debo hay esta estoy tiene muy mas sin sobre se su sus al lo " +
+  "le me nos azucar sangre corazon medico medicina enfermedad ninos nino hijo hija hola gracias").split(" "));
+const EN_WORDS = new Set(("the a an and or but is are was were be been my i you he she it we they what " +
+  "how why when where which who can should do does have has had of for with to in on at from this that " +
+  "these those take mean means translate pain blood heart doctor medicine disease kids child hello thanks please about").split(" "));
+
+// { lang, confidence } — Spanish-only characters count double; short or mixed
+// text gets low confidence so callers can prefer an explicit choice.
+function detect(text) {
+  const raw = String(text || "");
+  const words = normalize(raw).split(/[^a-z]+/).filter(Boolean);
+  let es = (raw.match(/[ñ¿¡áéíóú]/gi) || []).length * 2;
+  let en = 0;
+  for (const w of words) {
+    if (ES_WORDS.has(w)) es++;
+    if (EN_WORDS.has(w)) en++;
+  }
+  const total = es + en;
+  if (!total) return { lang: "en", confidence: 0 };
+  const lang = es > en ? "es" : "en";
+  const margin = Math.abs(es - en) / total;            // how one-sided the evidence is
+  const volume = Math.min(1, total / 6);               // how much evidence there is
+  return { lang, confidence: Math.round(margin * volume * 100) / 100 };
+}
+
+function isSpanish(text) {
+  return detect(text).lang === "es";
+}
+
+// ---- Routing ----
+const TRANSLATE_INTENT = /\btranslate\b|\btradu(?:ce|ccion|cir|zca)\b|\bque significa\b|\bwhat does .* mean\b|\bdefine\b|\bdefinir\b/;
+
+function hasTranslateIntent(message) {
+  return TRANSLATE_INTENT.test(normalize(message));
+}
+
+// Mirrors the Firebase chat's original rules:
+// - chat: answer in prefer.lang if it is en/es, otherwise in the detected language
+// - translate intent: target prefer.lang if given, otherwise flip the detected language
+// Returns { mode: "chat"|"translate", lang, detected: { lang, confidence } }.
+function route(message, prefer = {}) {
+  const detected = detect(message);
+  const forced = LANGS.includes(prefer.lang) ? prefer.lang : null;
+  if (hasTranslateIntent(message)) {
+    return { mode: "translate", lang: forced || (detected.lang === "es" ? "en" : "es"), detected };
+  }
+  return { mode: "chat", lang: forced || detected.lang, detected };
+}
+
+// ---- Glossary protection ----
+// Drug names, lab names and measurements are swapped for ⟦n⟧ tokens before
+// translation and restored afterwards, so "metformin 500 mg" or "A1C 6.5%"
+// can't be translated, re-spelled or converted by the model.
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const TERMS = [...glossary.drugs, ...glossary.labs].sort((a, b) => b.length - a.length);
+const PATTERNS = [
+  new RegExp(glossary.measurement, "gi"),
+  new RegExp(`\\b(?:${TERMS.map(escapeRe).join("|")})\\b`, "gi")
+];
+
+function protect(text) {
+  const tokens = [];
+  let out = String(text || "");
+  for (const re of PATTERNS) {
+    out = out.replace(re, m => {
+      tokens.push(m);
+      return `⟦${tokens.length}⟧`;
+    });
+  }
+  return { text: out, tokens };
+}
+
+// Puts protected terms back; reports any the model dropped.
+function restore(text, tokens) {
+  const missing = [];
+  // models sometimes space out a token ("⟦ 3 ⟧"); tidy those before matching
+  let out = String(text || "").replace(/⟦\s*(\d+)\s*⟧/g, "⟦$1⟧");
+  tokens.forEach((term, i) => {
+    const token = `⟦${i + 1}⟧`;
+    if (out.includes(token)) out = out.split(token).join(term);
+    else missing.push(term);
+  });
+  return { text: out, preserved: tokens.length - missing.length, missing };
+}
+
+module.exports = {
+  LANGS,
+  NAMES,
+  detect,
+  isSpanish,
+  hasTranslateIntent,
+  route,
+  protect,
+  restore
+};
@@ -0,0 +1,93 @@
+// lib/logger.js — structured JSON logs and per-request audit records
+// One JSON object per line (stdout; stderr for warn/error) so Render's log search
+// or any shipper can filter on fields. Every HTTP request gets a request id — the
+// caller's X-Request-Id when well-formed, otherwise a UUID — echoed back in the
+// X-Request-Id header and the JSON body, and stamped on its `request` record.
+// User and model text is logged per LOG_CONTENT:
+//   off    — never (default)
+//   hashed — sha256 prefix + length, enough to spot repeats across reports
+//   full   — the de-identified text as sent to providers (PHI placeholders, never raw values)
+// Env (optional): LOG_LEVEL=debug|info|warn|error (default info), LOG_CONTENT=off|hashed|full
+
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+const CONTENT = ["off", "hashed", "full"].includes(process.env.LOG_CONTENT) ? process.env.LOG_CONTENT : "off";
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// ---- Records ----
+function write(level, event, fields = {}) {
+  if (LEVELS[level] < LEVELS[LEVEL]) return;
+  const record = { time: new Date().toISOString(), level, event };
+  for (const [k, v] of Object.entries(fields)) {
+    if (v !== undefined) record[k] = v instanceof Error ? serializeError(v) : v;
+  }
+  const line = JSON.stringify(record);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+function serializeError(err) {
+  return { message: String(err.message || err), name: err.name, status: err.status, stack: LEVEL === "debug" ? err.stack : undefined };
+}
+
+// Text as allowed by LOG_CONTENT; undefined drops the field from the record.
+function content(text) {
+  if (CONTENT === "off" || text == null) return undefined;
+  const s = String(text);
+  if (CONTENT === "full") return s;
+  return { sha256: crypto.createHash("sha256").update(s).digest("hex").slice(0, 16), length: s.length };
+}
+
+// ---- Request tracing ----
+// Express middleware; mount first so every later response (auth failures
+// included) carries the id. Routes add audit fields with audit(res, {...});
+// they are written with method, path, status and latency when the response closes.
+function trace(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const t0 = Date.now();
+  res.locals.requestId = id;
+  res.locals.audit = {};
+  res.set("X-Request-Id", id);
+
+  // success bodies get a top-level requestId; error envelopes (lib/errors) carry it inside `error`
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (!body || typeof body !== "object" || Array.isArray(body)) return json(body);
+    if (body.error && typeof body.error === "object") return json({ ...body, error: { ...body.error, requestId: id } });
+    return json({ ...body, requestId: id });
+  };
+
+  res.on("close", () => {
+    const status = res.statusCode;
+    write(status >= 500 ? "error" : status >= 400 ? "warn" : "info", "request", {
+      requestId: id,
+      method: req.method,
+      path: req.path,
+      status,
+      ms: Date.now() - t0,
+      aborted: res.writableFinished ? undefined : true,
+      client: res.locals.client?.keyId,
+      ...res.locals.audit
+    });
+  });
+  next();
+}
+
+function audit(res, fields) {
+  if (res.locals.audit) Object.assign(res.locals.audit, fields);
+}
+
+module.exports = {
+  LEVEL,
+  CONTENT,
+  debug: (event, fields) => write("debug", event, fields),
+  info: (event, fields) => write("info", event, fields),
+  warn: (event, fields) => write("warn", event, fields),
+  error: (event, fields) => write("error", event, fields),
+  content,
+  trace,
+  audit
+};
@@ -0,0 +1,126 @@
+// lib/metrics.js — in-process Prometheus metrics (text exposition format 0.0.4)
+// Instruments are defined here, in one place, and bumped by the modules that
+// own the events (providers, failover, cache, safety, usage); server.js serves
+// render() at GET /metrics. Values are per process and reset on restart, which
+// Prometheus' rate()/increase() handle. No client library: counters, gauges and
+// histograms with labels are all we need.
+
+const registry = [];
+
+// Label values are escaped per the exposition format; label order follows `labelNames`.
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => `${n}="${String(labels[n] ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`).join(",");
+}
+
+function fmt(v) {
+  return Number.isFinite(v) ? String(v) : v > 0 ? "+Inf" : v < 0 ? "-Inf" : "NaN";
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    name,
+    inc(labels, n = 1) {
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) || 0) + n);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [k, v] of values) lines.push(`${name}${k ? `{${k}}` : ""} ${fmt(v)}`);
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// `collect()` is called at scrape time and returns [{ labels, value }].
+function gauge(name, help, labelNames, collect) {
+  const metric = {
+    name,
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of collect()) {
+        const k = labelKey(labelNames, labels);
+        lines.push(`${name}${k ? `{${k}}` : ""} ${fmt(value)}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  const metric = {
+    name,
+    observe(labels, value) {
+      const k = labelKey(labelNames, labels);
+      if (!series.has(k)) series.set(k, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(k);
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [k, s] of series) {
+        const prefix = k ? `${k},` : "";
+        buckets.forEach((b, i) => lines.push(`${name}_bucket{${prefix}le="${b}"} ${s.counts[i]}`));
+        lines.push(`${name}_bucket{${prefix}le="+Inf"} ${s.count}`);
+        lines.push(`${name}_sum${k ? `{${k}}` : ""} ${fmt(Math.round(s.sum * 1e6) / 1e6)}`);
+        lines.push(`${name}_count${k ? `{${k}}` : ""} ${s.count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// ---- Instruments ----
+const httpRequests = counter("infohealth_http_requests_total", "HTTP requests by route, method and status code.", ["route", "method", "status"]);
+const providerLatency = histogram(
+  "infohealth_provider_request_duration_seconds",
+  "Latency of individual AI provider calls (one per try; streams until the last chunk).",
+  ["provider", "outcome"],
+  [0.25, 0.5, 1, 2, 4, 8, 15, 30]
+);
+const providerRetries = counter("infohealth_provider_retries_total", "Provider calls retried after a retryable error.", ["provider"]);
+const failovers = counter("infohealth_failovers_total", "Providers given up on mid-request (failed after retries, or circuit open); the request moves to the next one if any.", ["from", "reason"]);
+const cacheLookups = counter("infohealth_cache_lookups_total", "Response cache lookups by namespace and result.", ["namespace", "result"]);
+const safetyFlags = counter("infohealth_safety_flags_total", "Answers flagged by the output safety filter, by reason and action taken.", ["reason", "action"]);
+const tokens = counter("infohealth_tokens_total", "Prompt and completion tokens spent, by provider.", ["provider", "kind"]);
+const costUSD = counter("infohealth_cost_usd_total", "Estimated provider spend in USD (priced models only).", ["provider"]);
+
+// Express middleware: counts every response under its route pattern so ids in
+// paths (/conversations/:id) don't explode the label set.
+function track(req, res, next) {
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+  });
+  next();
+}
+
+function render() {
+  return `${registry.flatMap(m => m.render()).join("\n")}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE: "text/plain; version=0.0.4; charset=utf-8",
+  counter,
+  gauge,
+  histogram,
+  httpRequests,
+  providerLatency,
+  providerRetries,
+  failovers,
+  cacheLookups,
+  safetyFlags,
+  tokens,
+  costUSD,
+  track,
+  render
+};
@@ -0,0 +1,77 @@
+// lib/mock.js — offline "mock" provider: scripted replies and injectable faults
+// Enabled with MOCK_PROVIDER=1, which makes "mock" selectable via prefer.provider
+// and appends it to the auto order after the real vendors, so a keyless dev box
+// or a CI run gets deterministic answers with no network. lib/providers.js wraps
+// plan() in the same complete()/stream() interface and ProviderError types as
+// the HTTP adapters, so failover, breakers and metrics treat it like a vendor.
+// Replies and fault rules live in data/mock-script.json (see its notes).
+// Env (optional): MOCK_PROVIDER=1, MOCK_SCRIPT, MOCK_LATENCY_MS, MOCK_FAIL=timeout|429|500|malformed
+
+const path = require("path");
+const { estimateTokens } = require("./conversations");
+
+const SCRIPT_FILE = process.env.MOCK_SCRIPT || path.join(__dirname, "..", "data", "mock-script.json");
+const ENABLED = ["1", "true", "on"].includes(String(process.env.MOCK_PROVIDER || "").toLowerCase());
+const FAULTS = ["timeout", "429", "500", "malformed"];
+
+const script = require(SCRIPT_FILE);
+const rules = script.rules.map(rule => ({
+  ...rule,
+  match: rule.match ? new RegExp(rule.match, "i") : null,
+  system: rule.system ? new RegExp(rule.system, "i") : null
+}));
+
+// The answer language the system prompt asks for (EN/ES directives, translator target).
+function langOf(system) {
+  return /\*\*Spanish\*\*|\ben español\b/i.test(system || "") ? "es" : "en";
+}
+
+function pick(opts) {
+  const last = [...(opts.messages || [])].reverse().find(m => m.role === "user")?.content || "";
+  const rule = rules.find(r => (!r.match || r.match.test(last)) && (!r.system || r.system.test(opts.system || "")) && (r.match || r.system));
+  return { rule: rule || { id: "default", ...script.default }, last };
+}
+
+// JSON-mode requests (opts.schema) get a document of that shape: the scripted text
+// in every string field, and as the only item of every array field.
+function shape(schema, text) {
+  const doc = {};
+  for (const [name, spec] of Object.entries(schema.properties || {})) {
+    doc[name] = spec.type === "array" ? [text] : spec.type === "string" ? text : null;
+  }
+  return JSON.stringify(doc);
+}
+
+// What the mock will do for this request: { id, text, latencyMs, fail }.
+// `fail` is null or one of FAULTS; env overrides apply to every reply.
+function plan(opts = {}) {
+  const { rule, last } = pick(opts);
+  const lang = langOf(opts.system);
+  const template = typeof rule.text === "object" && rule.text ? rule.text[lang] || rule.text.en : rule.text || "";
+  const envFail = FAULTS.includes(process.env.MOCK_FAIL) ? process.env.MOCK_FAIL : null;
+  const text = template.replace(/\{message\}/g, last).replace(/\{lang\}/g, lang);
+  return {
+    id: rule.id,
+    text: opts.schema ? shape(opts.schema, text) : text,
+    latencyMs: Number(process.env.MOCK_LATENCY_MS) || rule.latencyMs || 0,
+    fail: envFail || (FAULTS.includes(String(rule.fail)) ? String(rule.fail) : null),
+    usage: { promptTokens: estimateTokens(`${opts.system || ""}${(opts.messages || []).map(m => m.content).join("")}`) }
+  };
+}
+
+// Resolves after `ms`, or rejects with the signal's reason (caller abort or timeout).
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+    const t = ms === Infinity ? null : setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Word-sized chunks (whitespace kept) so streams look like a vendor's.
+function chunks(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+module.exports = { ENABLED, FAULTS, SCRIPT_FILE, version: script.version, plan, wait, chunks };
@@ -0,0 +1,203 @@
+// lib/pdf.js — minimal PDF writer for text handouts (no dependencies)
+// Lays out wrapped paragraphs, bullets and rules in the standard Helvetica fonts on US
+// Letter pages, with a footer line per page. The fonts are not embedded and use
+// WinAnsi encoding: Latin-1 (so Spanish accents, ¿ and ¡) plus typographic punctuation;
+// other characters such as emoji are dropped. Enough for lib/handout.js, not a
+// general-purpose PDF library.
+
+const zlib = require("zlib");
+
+const PAGE = { width: 612, height: 792, margin: 54 };
+const LINE = 1.35; // line height, in font sizes
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Helvetica and Helvetica-Bold AFM files.
+const WIDTHS = {
+  regular: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+  bold: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+};
+
+// WinAnsi codes above 127 that are not the Latin-1 code point, with their widths.
+const SPECIAL = {
+  "€": [0x80, 556], "…": [0x85, 1000], "‘": [0x91, 222], "’": [0x92, 222], "“": [0x93, 333],
+  "”": [0x94, 333], "•": [0x95, 350], "–": [0x96, 556], "—": [0x97, 1000], "™": [0x99, 1000]
+};
+
+// [code, width] for one character, or null when WinAnsi can't show it.
+function glyph(ch, bold) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return [code, table[code - 32]];
+  if (SPECIAL[ch]) return SPECIAL[ch];
+  if (code >= 0xa0 && code <= 0xff) {
+    // accented letters measure like their base letter
+    const base = ch.normalize("NFD")[0].codePointAt(0);
+    return [code, base >= 32 && base <= 126 && base !== code ? table[base - 32] : 556];
+  }
+  return null;
+}
+
+function encodable(text) {
+  return [...String(text).normalize("NFC").replace(/\t/g, " ")].filter(ch => glyph(ch)).join("");
+}
+
+// Width in glyph units (1/1000 of the font size).
+function units(text, bold) {
+  let w = 0;
+  for (const ch of text) w += glyph(ch, bold)?.[1] || 0;
+  return w;
+}
+
+function measure(text, size, bold) {
+  return units(text, bold) * size / 1000;
+}
+
+// PDF literal string in WinAnsi bytes, escaped and kept 7-bit.
+function literal(text) {
+  let out = "(";
+  for (const ch of text) {
+    const [code] = glyph(ch) || [63];
+    if (ch === "(" || ch === ")" || ch === "\\") out += `\\${ch}`;
+    else if (code > 126) out += `\\${code.toString(8).padStart(3, "0")}`;
+    else out += String.fromCharCode(code);
+  }
+  return `${out})`;
+}
+
+// Greedy word wrap; words wider than the line are split. Widths are kept as running
+// totals, so long lines and unbroken words are measured once, not per prefix.
+function wrap(text, width, size, bold) {
+  const max = width * 1000 / size;
+  const space = units(" ", bold);
+  const lines = [];
+  let line = "";
+  let used = 0;
+  for (const word of text.split(/ +/).filter(Boolean)) {
+    const w = units(word, bold);
+    const gap = line ? space : 0;
+    if (used + gap + w <= max) {
+      line += line ? ` ${word}` : word;
+      used += gap + w;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = "";
+    used = 0;
+    if (w <= max) {
+      line = word;
+      used = w;
+      continue;
+    }
+    for (const ch of word) {
+      const cw = glyph(ch, bold)?.[1] || 0;
+      if (line && used + cw > max) {
+        lines.push(line);
+        line = "";
+        used = 0;
+      }
+      line += ch;
+      used += cw;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [""];
+}
+
+const rgb = color => color.map(c => (c / 255).toFixed(3)).join(" ");
+
+// const doc = pdf.create({ title });
+// doc.text("Heading", { size: 16, bold: true, color: [29, 111, 184] });
+// doc.bullet("One item"); doc.space(8); doc.rule();
+// doc.toBuffer({ footer: (page, pages) => `Page ${page} of ${pages}` })
+function create({ title = "", author = "", date = new Date() } = {}) {
+  const pages = [[]];
+  const bottom = PAGE.margin + 24; // room for the footer
+  const width = PAGE.width - 2 * PAGE.margin;
+  let y = PAGE.height - PAGE.margin;
+
+  const ensure = height => {
+    if (y - height >= bottom) return;
+    pages.push([]);
+    y = PAGE.height - PAGE.margin;
+  };
+  const draw = op => pages[pages.length - 1].push(op);
+
+  function lines(text, { size = 11, bold = false, color = [0, 0, 0], indent = 0, marker = null, after = size * 0.5 } = {}) {
+    const x = PAGE.margin + indent;
+    for (const paragraph of encodable(text).split(/\n/)) {
+      wrap(paragraph, width - indent, size, bold).forEach((line, i) => {
+        ensure(size * LINE);
+        y -= size * LINE;
+        if (marker && i === 0) draw({ text: marker, x: x - 12, y, size, bold, color });
+        draw({ text: line, x, y, size, bold, color });
+      });
+    }
+    y -= after;
+  }
+
+  return {
+    text: (text, opts) => lines(text, opts),
+    bullet: (text, opts = {}) => lines(text, { indent: 14, after: 3, ...opts, marker: "•" }),
+    space(points) {
+      y -= points;
+    },
+    rule(color = [200, 200, 200]) {
+      ensure(8);
+      y -= 4;
+      draw({ rule: true, y, color });
+      y -= 8;
+    },
+    toBuffer({ footer } = {}) {
+      const objects = [];
+      const add = body => objects.push(body); // object number = position, from 1
+      const catalog = add("<< /Type /Catalog /Pages 2 0 R >>");
+      const pagesRef = add(null); // filled in once the page ids are known
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const stamp = date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+      const info = add(`<< /Title ${literal(encodable(title))} /Author ${literal(encodable(author))} /Producer (lib/pdf.js) /CreationDate (D:${stamp}Z) >>`);
+
+      const kids = pages.map((ops, i) => {
+        const note = footer ? encodable(footer(i + 1, pages.length)) : "";
+        const all = note ? [...ops, { text: note, x: PAGE.margin, y: PAGE.margin, size: 8, bold: false, color: [110, 110, 110] }] : ops;
+        const content = all.map(op => op.rule
+          ? `${rgb(op.color)} RG 0.75 w ${PAGE.margin} ${op.y.toFixed(2)} m ${PAGE.width - PAGE.margin} ${op.y.toFixed(2)} l S`
+          : `BT /${op.bold ? "F2" : "F1"} ${op.size} Tf ${rgb(op.color)} rg ${op.x.toFixed(2)} ${op.y.toFixed(2)} Td ${literal(op.text)} Tj ET`
+        ).join("\n");
+        const stream = zlib.deflateSync(Buffer.from(content, "latin1"));
+        const contents = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contents} 0 R >>`);
+      });
+      objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const at = length;
+        const parts = typeof body === "string"
+          ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")]
+          : [Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, "latin1"), body.stream, Buffer.from("\nendstream\nendobj\n", "latin1")];
+        for (const p of parts) {
+          chunks.push(p);
+          length += p.length;
+        }
+        return at;
+      });
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+        ""
+      ].join("\n");
+      chunks.push(Buffer.from(xref, "latin1"));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports = { PAGE, create, measure, wrap, encodable };
@@ -0,0 +1,126 @@
+// lib/phi.js — de-identify user text before it reaches an AI vendor
+// Names, dates of birth, phone numbers, emails, SSNs, MRNs, insurance ids and
+// addresses (EN/ES rules in data/phi-rules.json) become placeholders like
+// [NAME_1]. The originals live only in a per-conversation vault in memory and
+// can be put back into the reply; callers record categories, never values.
+// Env (optional): PHI_RULES_FILE, PHI_REINSERT=0 to leave placeholders in replies
+
+const path = require("path");
+const { normalize } = require("./text");
+
+const RULES_FILE = process.env.PHI_RULES_FILE || path.join(__dirname, "..", "data", "phi-rules.json");
+const REINSERT = process.env.PHI_REINSERT !== "0";
+
+const config = require(RULES_FILE);
+const rules = config.rules.map(rule => ({
+  id: rule.id,
+  category: rule.category,
+  label: rule.label,
+  re: new RegExp(rule.pattern, rule.flags.includes("g") ? rule.flags : `${rule.flags}g`)
+}));
+const notNames = new Set(config.notNames.map(normalize));
+const PLACEHOLDER = /\[([A-Z]+(?:_[A-Z]+)*_\d+)\]/g;
+const HAS_PLACEHOLDER = /\[[A-Z]+(?:_[A-Z]+)*_\d+\]/;
+
+const stats = {};
+
+// Placeholder ↔ value map; one per conversation so a name keeps its
+// placeholder across turns and replayed history stays consistent.
+function vault() {
+  return { byValue: new Map(), byToken: new Map(), categories: new Map(), counts: {} };
+}
+
+function tokenFor(v, rule, value) {
+  const k = `${rule.label}:${normalize(value)}`;
+  if (v.byValue.has(k)) return v.byValue.get(k);
+  v.counts[rule.label] = (v.counts[rule.label] || 0) + 1;
+  const token = config.placeholder.replace("{label}", rule.label).replace("{n}", v.counts[rule.label]);
+  v.byValue.set(k, token);
+  v.byToken.set(token, value);
+  v.categories.set(token, rule.category);
+  return token;
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns { text, count, categories } with every detected value replaced.
+function redact(text, v = vault()) {
+  let out = String(text || "");
+  const found = [];
+  const hit = category => {
+    found.push(category);
+    stats[category] = (stats[category] || 0) + 1;
+  };
+  // values seen earlier in the conversation are caught even without their cue
+  // ("does Ana need insulin?"); a name's first word alone maps to the same placeholder
+  for (const [token, value] of v.byToken) {
+    const forms = [value];
+    const first = value.split(/\s+/)[0];
+    if (v.categories.get(token) === "name" && first !== value && first.length > 2) forms.push(first);
+    for (const form of forms) {
+      out = out.replace(new RegExp(`(?<![\\p{L}\\d])${escapeRe(form)}(?![\\p{L}\\d])`, "giu"), () => {
+        hit(v.categories.get(token));
+        return token;
+      });
+    }
+  }
+  for (const rule of rules) {
+    out = out.replace(rule.re, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === "object" ? args[args.length - 1] : null;
+      const value = groups?.value ?? match;
+      if (!value.trim() || HAS_PLACEHOLDER.test(value)) return match;
+      if (rule.category === "name" && notNames.has(normalize(value.split(/\s+/)[0]))) return match;
+      hit(rule.category);
+      const token = tokenFor(v, rule, value.trim());
+      const at = match.lastIndexOf(value);
+      return match.slice(0, at) + token + match.slice(at + value.length);
+    });
+  }
+  return { text: out, count: found.length, categories: [...new Set(found)] };
+}
+
+// Puts original values back; unknown placeholders are left alone.
+function restore(text, v) {
+  if (!v || !v.byToken.size) return text;
+  return String(text || "").replace(PLACEHOLDER, (m, inner) => v.byToken.get(`[${inner}]`) ?? m);
+}
+
+// Restores placeholders in streamed text; a chunk ending mid-placeholder ("[NA")
+// is held back until the next chunk completes it.
+function streamRestorer(v) {
+  let held = "";
+  return {
+    push(chunk) {
+      const s = held + chunk;
+      const open = s.lastIndexOf("[");
+      if (open !== -1 && s.indexOf("]", open) === -1 && s.length - open <= 24) {
+        held = s.slice(open);
+        return restore(s.slice(0, open), v);
+      }
+      held = "";
+      return restore(s, v);
+    },
+    flush() {
+      const s = held;
+      held = "";
+      return restore(s, v);
+    }
+  };
+}
+
+// Appended to system prompts whenever the outbound text carries placeholders.
+function promptNote(v) {
+  return v && v.byToken.size ? config.promptNote : "";
+}
+
+module.exports = {
+  version: config.version,
+  REINSERT,
+  vault,
+  redact,
+  restore: (text, v) => (REINSERT ? restore(text, v) : text),
+  streamRestorer: v => (REINSERT ? streamRestorer(v) : { push: s => s, flush: () => "" }),
+  promptNote,
+  stats: () => ({ ...stats })
+};
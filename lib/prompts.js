@@ -0,0 +1,144 @@
+// lib/prompts.js — versioned prompt templates, the per-route registry and A/B experiments
+// Templates are data (data/prompts/<route>.<version>.json) so the clinical team can change
+// wording without touching code; data/prompts.json names the active version per route and
+// any experiment splitting a route between versions by a stable hash of the caller's id.
+// Used by server.js (/chat, /translate), index.js and the enhancement core; responses
+// report the template they used as `promptVersion`.
+// Env (optional): PROMPTS_FILE, PROMPTS_DIR
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const FILE = process.env.PROMPTS_FILE || path.join(__dirname, "..", "data", "prompts.json");
+const DIR = process.env.PROMPTS_DIR || path.join(__dirname, "..", "data", "prompts");
+const ROUTES = ["chat", "translate", "enhance"];
+// X-Client-Id is free-form from the browser; anything longer is cut before hashing
+const MAX_SUBJECT = 128;
+
+let state = load();
+
+// ---- Loading ----
+// Reads and checks the registry and every template; throws on any inconsistency,
+// so a bad edit fails at boot (or leaves the running set in place on reload).
+function load() {
+  const registry = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  const templates = new Map();
+  for (const file of fs.readdirSync(DIR).filter(f => f.endsWith(".json")).sort()) {
+    const t = JSON.parse(fs.readFileSync(path.join(DIR, file), "utf8"));
+    if (t.id !== path.basename(file, ".json")) throw new Error(`prompts: ${file} has id "${t.id}"`);
+    const unknown = placeholders(t).filter(name => !(t.variables || []).includes(name));
+    if (unknown.length) throw new Error(`prompts: ${t.id} uses undeclared variables: ${unknown.join(", ")}`);
+    templates.set(t.id, t);
+  }
+
+  const routeOf = (id, where) => {
+    const t = templates.get(id);
+    if (!t) throw new Error(`prompts: ${where} names unknown template "${id}"`);
+    return t.route;
+  };
+  for (const route of ROUTES) {
+    if (routeOf(registry.routes?.[route], `routes.${route}`) !== route) throw new Error(`prompts: routes.${route} is not a ${route} template`);
+  }
+  const experiments = registry.experiments || [];
+  const enabled = experiments.filter(e => e.enabled !== false);
+  for (const e of experiments) {
+    const variants = Object.entries(e.variants || {});
+    if (variants.length < 2) throw new Error(`prompts: experiment "${e.id}" needs at least two variants`);
+    for (const [id, weight] of variants) {
+      if (routeOf(id, `experiment "${e.id}"`) !== e.route) throw new Error(`prompts: experiment "${e.id}" mixes routes`);
+      if (!(weight > 0)) throw new Error(`prompts: experiment "${e.id}" gives "${id}" weight ${weight}`);
+    }
+    if (enabled.filter(x => x.route === e.route).length > 1) throw new Error(`prompts: more than one enabled experiment for ${e.route}`);
+  }
+  return { version: registry.version, routes: registry.routes, experiments, enabled, templates };
+}
+
+// Re-reads the files (POST /admin/prompts/reload). A broken edit throws and the
+// current set stays in use.
+function reload() {
+  state = load();
+  return info();
+}
+
+// ---- Picking a version ----
+// The caller's id for experiment assignment: X-Client-Id, else `fallback`
+// (chat passes the conversation id).
+function subjectOf(req, fallback = null) {
+  const header = typeof req?.get === "function" ? req.get("x-client-id") : req?.headers?.["x-client-id"];
+  const id = String(header || fallback || "").trim().slice(0, MAX_SUBJECT);
+  return id || null;
+}
+
+// Same experiment + subject → same bucket, on every instance and after restarts.
+function bucket(experimentId, subject, total) {
+  const digest = crypto.createHash("sha256").update(`${experimentId}:${subject}`).digest();
+  return (digest.readUInt32BE(0) / 0x100000000) * total;
+}
+
+// Template for a route: the enabled experiment's variant for this subject, or the
+// route's active version. Returns { template, version, experiment: { id, variant } | null }.
+function pick(route, subject = null) {
+  const e = subject ? state.enabled.find(x => x.route === route) : null;
+  let id = state.routes[route];
+  if (e) {
+    const variants = Object.entries(e.variants);
+    let at = bucket(e.id, subject, variants.reduce((sum, [, w]) => sum + w, 0));
+    id = variants.find(([, w]) => (at -= w) < 0)?.[0] || variants.at(-1)[0];
+  }
+  const template = state.templates.get(id);
+  if (!template) throw new Error(`prompts: unknown template "${id}" for ${route}`);
+  return { template, version: id, experiment: e ? { id: e.id, variant: id } : null };
+}
+
+// ---- Rendering ----
+// Fills `field` ("system", "user") of a template for `lang` (per-language text falls
+// back to English). {name} comes from `vars`; a variable set to true/false includes
+// or drops the template's fragment of that name (fragments are literal text);
+// null/undefined/"" leave nothing.
+// Paragraphs left empty are dropped, so optional blocks need no special casing.
+function render(template, field, vars = {}, lang = "en") {
+  const text = pickLang(template[field], lang);
+  if (text == null) throw new Error(`prompts: ${template.id} has no "${field}"`);
+  const fragments = template.fragments || {};
+  return text
+    .replace(/\{(\w+)\}/g, (m, name) => {
+      const v = vars[name];
+      if (typeof v === "boolean") return v ? pickLang(fragments[name], lang) || "" : "";
+      return v == null ? "" : String(v);
+    })
+    .split("\n\n")
+    .map(p => p.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function pickLang(value, lang) {
+  if (value == null || typeof value === "string") return value;
+  return value[lang] ?? value.en;
+}
+
+// Every {name} a template's texts use.
+function placeholders(template) {
+  const texts = [];
+  const collect = v => {
+    if (typeof v === "string") texts.push(v);
+    else if (v && typeof v === "object") Object.values(v).forEach(collect);
+  };
+  collect(template.system);
+  collect(template.user);
+  return [...new Set(texts.flatMap(s => (s.match(/\{(\w+)\}/g) || []).map(m => m.slice(1, -1))))];
+}
+
+// ---- Admin ----
+// GET /admin/prompts: the registry, experiments and template metadata (not the texts).
+function info() {
+  return {
+    version: state.version,
+    routes: state.routes,
+    experiments: state.experiments,
+    templates: [...state.templates.values()].map(t => ({ id: t.id, route: t.route, created: t.created, notes: t.notes, variables: t.variables }))
+  };
+}
+
+module.exports = { ROUTES, subjectOf, pick, render, placeholders, info, reload, get: id => state.templates.get(id) || null };
@@ -0,0 +1,422 @@
+// lib/providers.js — one adapter per AI vendor behind a common interface
+// Shared by server.js (Express), index.js (Firebase) and ai_enhance.js (Netlify).
+//
+//   complete(name, opts) → { text, usage, model, finishReason }
+//   stream(name, opts)   → async iterable of { text } deltas, then a final
+//                          { done: true, text: "", usage, model, finishReason }
+//
+// opts: { messages, system?, temperature?, maxTokens?, timeout?, signal?, apiKey?, model?, schema? }
+// `messages` is [{ role: "user"|"assistant", content }] ending with a user turn.
+// `schema` (a JSON Schema object, complete() only) switches on the vendor's JSON
+// mode — OpenAI json_schema, an Anthropic forced tool call, Gemini's JSON MIME
+// type — and `text` is then the JSON document as a string.
+// No SDKs; uses global fetch. "mock" is the in-process stand-in from lib/mock.js,
+// configured only when MOCK_PROVIDER=1.
+
+const sse = require("./sse");
+const metrics = require("./metrics");
+const mock = require("./mock");
+
+// ---- Registry ----
+// Keys/models/base URLs come from env unless a caller passes them explicitly
+// (Firebase passes secrets as `apiKey`).
+const registry = {
+  openai: {
+    label: "OpenAI",
+    keyEnv: ["OPENAI_API_KEY"],
+    modelEnv: "OPENAI_MODEL",
+    defaultModel: "gpt-4o-mini",
+    baseUrlEnv: "OPENAI_BASE_URL",
+    defaultBaseUrl: "https://api.openai.com/v1"
+  },
+  anthropic: {
+    label: "Anthropic",
+    keyEnv: ["ANTHROPIC_API_KEY", "CLAUDE_API_KEY"],
+    modelEnv: "ANTHROPIC_MODEL",
+    defaultModel: "claude-3-haiku-20240307",
+    baseUrlEnv: "ANTHROPIC_BASE_URL",
+    defaultBaseUrl: "https://api.anthropic.com/v1"
+  },
+  gemini: {
+    label: "Gemini",
+    keyEnv: ["GEMINI_API_KEY"],
+    modelEnv: "GEMINI_MODEL",
+    defaultModel: "gemini-1.5-flash",
+    baseUrlEnv: "GEMINI_BASE_URL",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta"
+  },
+  mock: {
+    label: "Mock",
+    keyEnv: ["MOCK_PROVIDER"],
+    modelEnv: "MOCK_MODEL",
+    defaultModel: "mock-1",
+    local: true
+  }
+};
+
+const DEFAULTS = { temperature: 0.3, maxTokens: 800, timeout: 30000 };
+
+class ProviderError extends Error {
+  constructor(provider, message, { status, body, cause, retryable } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status || null;
+    this.body = body;
+    this._retryable = retryable;
+  }
+
+  // 429 and 5xx are worth retrying; 4xx means the request itself is wrong
+  get retryable() {
+    if (typeof this._retryable === "boolean") return this._retryable;
+    if (this.status == null) return this.name !== "AbortError";
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+function names() {
+  return Object.keys(registry);
+}
+
+function getKey(name) {
+  const cfg = registry[name];
+  if (!cfg) return "";
+  if (cfg.local) return mock.ENABLED ? "local" : "";
+  for (const env of cfg.keyEnv) {
+    if (process.env[env]) return process.env[env];
+  }
+  return "";
+}
+
+function isConfigured(name) {
+  return !!getKey(name);
+}
+
+function configured() {
+  return names().filter(isConfigured);
+}
+
+function resolve(name, opts) {
+  const cfg = registry[name];
+  if (!cfg) throw new ProviderError(name, `Unknown provider: ${name}`, { retryable: false });
+  const apiKey = opts.apiKey || getKey(name);
+  if (!apiKey) throw new ProviderError(name, `${cfg.keyEnv[0]} missing`, { retryable: false });
+  return {
+    cfg,
+    apiKey,
+    model: opts.model || process.env[cfg.modelEnv] || cfg.defaultModel,
+    baseUrl: (process.env[cfg.baseUrlEnv] || cfg.defaultBaseUrl || "").replace(/\/+$/, ""),
+    temperature: opts.temperature ?? DEFAULTS.temperature,
+    maxTokens: opts.maxTokens ?? DEFAULTS.maxTokens,
+    timeout: opts.timeout ?? DEFAULTS.timeout
+  };
+}
+
+// Abort on caller signal or timeout, whichever comes first.
+function linkSignal(signal, timeout) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => {
+    const err = new Error(`timed out after ${timeout}ms`);
+    err.name = "TimeoutError";
+    ctrl.abort(err);
+  }, timeout);
+  const onAbort = () => ctrl.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) ctrl.abort(signal.reason);
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+  return {
+    signal: ctrl.signal,
+    clear() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  };
+}
+
+// Timeouts stay retryable; a caller abort (client went away) does not.
+function networkError(name, label, err, signal) {
+  const reason = signal.aborted ? signal.reason : err;
+  const e = new ProviderError(name, `${label}: ${reason?.message || reason}`, { cause: err });
+  if (signal.aborted) e.name = reason?.name === "TimeoutError" ? "TimeoutError" : "AbortError";
+  return e;
+}
+
+async function post(name, url, headers, body, signal) {
+  let r;
+  try {
+    r = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body)
+    });
+  } catch (err) {
+    throw networkError(name, registry[name].label, err, signal);
+  }
+  if (!r.ok) {
+    const text = await r.text();
+    throw new ProviderError(name, `${registry[name].label} ${r.status}: ${text}`, { status: r.status, body: text });
+  }
+  return r;
+}
+
+// ---- Mock ----
+// Plays a lib/mock.js plan with the same errors a vendor adapter would raise:
+// yields { text } chunks (streams spread the latency over them), then returns
+// the final { text, usage, model, finishReason }.
+async function* mockRun(name, c, opts, signal, streaming) {
+  const p = mock.plan(opts);
+  const label = streaming ? `${c.cfg.label} stream` : c.cfg.label;
+  const parts = streaming ? mock.chunks(p.text) : [];
+  try {
+    if (p.fail === "timeout") await mock.wait(Infinity, signal);
+    if (!streaming) await mock.wait(p.latencyMs, signal);
+  } catch (err) {
+    throw networkError(name, label, err, signal);
+  }
+  if (p.fail === "429" || p.fail === "500") {
+    throw new ProviderError(name, `${c.cfg.label} ${p.fail}: scripted failure (${p.id})`, { status: Number(p.fail), body: "" });
+  }
+  if (p.fail === "malformed") throw new ProviderError(name, `${c.cfg.label}: malformed JSON response`, { status: 200 });
+  for (const part of parts) {
+    try {
+      await mock.wait(p.latencyMs / parts.length, signal);
+    } catch (err) {
+      throw networkError(name, label, err, signal);
+    }
+    yield { text: part };
+  }
+  return {
+    text: p.text.trim(),
+    usage: usageOf(p.usage.promptTokens, Math.ceil(p.text.length / 4)),
+    model: c.model,
+    finishReason: "stop"
+  };
+}
+
+// ---- Per-vendor request/response mapping ----
+const adapters = {
+  openai: {
+    request(c, opts, stream) {
+      const messages = opts.system ? [{ role: "system", content: opts.system }, ...opts.messages] : opts.messages;
+      const body = { model: c.model, temperature: c.temperature, max_tokens: c.maxTokens, messages };
+      if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+      if (opts.schema) body.response_format = { type: "json_schema", json_schema: { name: "answer", schema: opts.schema } };
+      return {
+        url: `${c.baseUrl}/chat/completions`,
+        headers: { "Authorization": `Bearer ${c.apiKey}` },
+        body
+      };
+    },
+    parse(data) {
+      const choice = data.choices?.[0];
+      return {
+        text: (choice?.message?.content || "").trim(),
+        usage: usageOf(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+        model: data.model,
+        finishReason: choice?.finish_reason || null
+      };
+    },
+    // one upstream SSE event → { text?, usage?, model?, finishReason?, end? }
+    chunk({ data }) {
+      if (data === "[DONE]") return { end: true };
+      const j = JSON.parse(data);
+      const choice = j.choices?.[0];
+      return {
+        text: choice?.delta?.content || "",
+        model: j.model,
+        finishReason: choice?.finish_reason || undefined,
+        usage: j.usage ? usageOf(j.usage.prompt_tokens, j.usage.completion_tokens) : undefined
+      };
+    }
+  },
+
+  anthropic: {
+    request(c, opts, stream) {
+      const body = { model: c.model, max_tokens: c.maxTokens, temperature: c.temperature, messages: opts.messages };
+      if (opts.system) body.system = opts.system;
+      if (stream) body.stream = true;
+      // no JSON mode: a single forced tool whose input is the document
+      if (opts.schema) {
+        body.tools = [{ name: "answer", description: "Reply with the answer document.", input_schema: opts.schema }];
+        body.tool_choice = { type: "tool", name: "answer" };
+      }
+      return {
+        url: `${c.baseUrl}/messages`,
+        headers: { "x-api-key": c.apiKey, "anthropic-version": "2023-06-01" },
+        body
+      };
+    },
+    parse(data) {
+      const tool = Array.isArray(data.content) ? data.content.find(p => p.type === "tool_use") : null;
+      const text = tool ? JSON.stringify(tool.input)
+        : Array.isArray(data.content) ? data.content.map(p => p.text || "").join("\n")
+        : String(data.content || "");
+      return {
+        text: text.trim(),
+        usage: usageOf(data.usage?.input_tokens, data.usage?.output_tokens),
+        model: data.model,
+        finishReason: data.stop_reason || null
+      };
+    },
+    chunk({ event, data }) {
+      const j = JSON.parse(data);
+      if (event === "error") throw new ProviderError("anthropic", `Anthropic stream: ${j.error?.message || data}`);
+      if (event === "message_start") {
+        return { model: j.message?.model, usage: usageOf(j.message?.usage?.input_tokens, 0) };
+      }
+      if (event === "content_block_delta") return { text: j.delta?.text || "" };
+      if (event === "message_delta") {
+        return { finishReason: j.delta?.stop_reason, usage: { completionTokens: j.usage?.output_tokens } };
+      }
+      if (event === "message_stop") return { end: true };
+      return {};
+    }
+  },
+
+  gemini: {
+    request(c, opts, stream) {
+      // Gemini calls the assistant role "model"
+      const body = {
+        contents: opts.messages.map(m => ({
+          role: m.role === "assistant" ? "model" : "user",
+          parts: [{ text: m.content }]
+        })),
+        generationConfig: { temperature: c.temperature, maxOutputTokens: c.maxTokens }
+      };
+      // Gemini's schema dialect is a subset of JSON Schema; the prompt carries the shape
+      if (opts.schema) body.generationConfig.responseMimeType = "application/json";
+      if (opts.system) body.systemInstruction = { parts: [{ text: opts.system }] };
+      const method = stream ? "streamGenerateContent?alt=sse&" : "generateContent?";
+      return {
+        url: `${c.baseUrl}/models/${c.model}:${method}key=${c.apiKey}`,
+        headers: {},
+        body
+      };
+    },
+    parse(data, c) {
+      const cand = data.candidates?.[0];
+      return {
+        text: (cand?.content?.parts?.map(p => p.text || "").join("\n") || "").trim(),
+        usage: usageOf(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount),
+        model: data.modelVersion || c.model,
+        finishReason: cand?.finishReason || null
+      };
+    },
+    chunk({ data }) {
+      const j = JSON.parse(data);
+      const cand = j.candidates?.[0];
+      return {
+        text: cand?.content?.parts?.map(p => p.text || "").join("") || "",
+        model: j.modelVersion,
+        finishReason: cand?.finishReason,
+        usage: j.usageMetadata
+          ? usageOf(j.usageMetadata.promptTokenCount, j.usageMetadata.candidatesTokenCount)
+          : undefined
+      };
+    }
+  }
+};
+
+function usageOf(promptTokens, completionTokens) {
+  const p = Number(promptTokens) || 0;
+  const c = Number(completionTokens) || 0;
+  return { promptTokens: p, completionTokens: c, totalTokens: p + c };
+}
+
+// Latency histogram label; caller aborts (client went away) are kept apart from real failures.
+function outcomeOf(err) {
+  if (!err) return "ok";
+  if (err.name === "TimeoutError") return "timeout";
+  return err.name === "AbortError" ? "aborted" : "error";
+}
+
+function observe(name, t0, err) {
+  metrics.providerLatency.observe({ provider: name, outcome: outcomeOf(err) }, (Date.now() - t0) / 1000);
+}
+
+// ---- Public API ----
+async function complete(name, opts = {}) {
+  const c = resolve(name, opts);
+  const link = linkSignal(opts.signal, c.timeout);
+  const t0 = Date.now();
+  try {
+    if (c.cfg.local) {
+      const out = (await mockRun(name, c, opts, link.signal, false).next()).value;
+      observe(name, t0);
+      return out;
+    }
+    const { url, headers, body } = adapters[name].request(c, opts, false);
+    const r = await post(name, url, headers, body, link.signal);
+    let data;
+    try {
+      data = await r.json();
+    } catch (err) {
+      throw new ProviderError(name, `${c.cfg.label}: malformed JSON response`, { status: r.status, cause: err });
+    }
+    const out = adapters[name].parse(data, c);
+    out.model = out.model || c.model;
+    observe(name, t0);
+    return out;
+  } catch (err) {
+    observe(name, t0, err);
+    throw err;
+  } finally {
+    link.clear();
+  }
+}
+
+async function* stream(name, opts = {}) {
+  const c = resolve(name, opts);
+  const link = linkSignal(opts.signal, c.timeout);
+  const final = { done: true, text: "", usage: usageOf(0, 0), model: c.model, finishReason: null };
+  const t0 = Date.now();
+  try {
+    if (c.cfg.local) {
+      const run = mockRun(name, c, opts, link.signal, true);
+      for (let step = await run.next(); ; step = await run.next()) {
+        if (step.done) {
+          Object.assign(final, step.value, { text: "" });
+          break;
+        }
+        yield step.value;
+      }
+      observe(name, t0);
+      yield final;
+      return;
+    }
+    const adapter = adapters[name];
+    const { url, headers, body } = adapter.request(c, opts, true);
+    const r = await post(name, url, headers, body, link.signal);
+    for await (const evt of sse.readEvents(r.body)) {
+      const part = adapter.chunk(evt);
+      if (part.model) final.model = part.model;
+      if (part.finishReason) final.finishReason = part.finishReason;
+      if (part.usage) {
+        const u = { ...final.usage, ...Object.fromEntries(Object.entries(part.usage).filter(([, v]) => v != null)) };
+        final.usage = usageOf(u.promptTokens, u.completionTokens);
+      }
+      if (part.text) yield { text: part.text };
+      if (part.end) break;
+    }
+  } catch (err) {
+    const e = err instanceof ProviderError ? err : networkError(name, `${c.cfg.label} stream`, err, link.signal);
+    observe(name, t0, e);
+    throw e;
+  } finally {
+    link.clear();
+  }
+  observe(name, t0);
+  yield final;
+}
+
+module.exports = {
+  registry,
+  ProviderError,
+  names,
+  isConfigured,
+  configured,
+  complete,
+  stream
+};
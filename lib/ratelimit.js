@@ -0,0 +1,43 @@
+// lib/ratelimit.js — in-memory token-bucket rate limiting
+// One bucket per id (API key id or client IP); each refills continuously at
+// `perMinute` and holds at most `perMinute` tokens, so short bursts are fine
+// but a sustained scripted caller is held to the rate. Per-process only —
+// run one instance or accept a limit of N × rate across N instances.
+
+const MAX_BUCKETS = 20000;
+
+function createLimiter({ perMinute }) {
+  const buckets = new Map();
+
+  function sweep(now) {
+    // full buckets carry no state worth keeping
+    for (const [id, b] of buckets) {
+      if (b.tokens + (now - b.at) * b.rate / 60000 >= b.rate) buckets.delete(id);
+    }
+  }
+
+  // Takes one request from `id`'s bucket. `rate` overrides the default per-minute rate.
+  // Returns { ok, remaining, retryAfter } with retryAfter in whole seconds.
+  function take(id, rate = perMinute) {
+    const now = Date.now();
+    if (!rate || rate <= 0) return { ok: true, remaining: Infinity, retryAfter: 0 };
+    let b = buckets.get(id);
+    if (!b) {
+      if (buckets.size >= MAX_BUCKETS) sweep(now);
+      b = { tokens: rate, at: now, rate };
+      buckets.set(id, b);
+    }
+    b.rate = rate;
+    b.tokens = Math.min(rate, b.tokens + (now - b.at) * rate / 60000);
+    b.at = now;
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true, remaining: Math.floor(b.tokens), retryAfter: 0 };
+    }
+    return { ok: false, remaining: 0, retryAfter: Math.ceil((1 - b.tokens) * 60 / rate) };
+  }
+
+  return { take, reset: () => buckets.clear() };
+}
+
+module.exports = { createLimiter };
@@ -0,0 +1,205 @@
+// lib/readability.js — reading-level targets and plain-language scoring of answers
+// Scores model output with Flesch-Kincaid (English) or Fernández-Huerta plus
+// Szigriszt-Pazos (Spanish), and asks a model to simplify once when an answer
+// misses its target grade (or word range). Used by server.js (/chat), index.js
+// and the enhancement core, so every deployment reports the same numbers.
+// Grades are US school grades; the Spanish scales are ease scores (0-100, higher
+// is easier) mapped onto an equivalent grade from Fernández-Huerta's own bands.
+// Env (optional): READING_LEVEL (default target grade for /chat; unset = score only),
+//                 READABILITY_TOLERANCE (grades above target still accepted, default 1)
+
+const { sentences } = require("./text");
+const logger = require("./logger");
+
+const MIN_LEVEL = 3;
+const MAX_LEVEL = 12;
+const tolerance = Number(process.env.READABILITY_TOLERANCE || 1);
+const TOLERANCE = Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 1;
+const DEFAULT_LEVEL = level(process.env.READING_LEVEL);
+// word ranges are a length guide, not a hard cut: 10% either side still passes
+const WORD_SLACK = 0.1;
+
+// A valid target grade (integer MIN_LEVEL..MAX_LEVEL), or null.
+function level(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= MIN_LEVEL && n <= MAX_LEVEL ? n : null;
+}
+
+// ---- Counting ----
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+// Digits are read out ("120" → one-twenty), roughly a syllable per digit.
+function numberSyllables(token) {
+  return Math.min(token.replace(/\D/g, "").length, 3) || 1;
+}
+
+// Classic English heuristic: vowel groups, minus a silent final e/es/ed ("-ted", "-ded" are voiced).
+function syllablesEn(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return numberSyllables(word);
+  if (w.length <= 3) return 1;
+  w = w.replace(/(?:[^laeiouy]es|[^dt]ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+  return Math.max(1, (w.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+// Spanish: one syllable per vowel nucleus. Weak vowels (i, u, ü) join a neighbour
+// into a diphthong; two strong vowels, or an accented í/ú, are a hiatus.
+const SPANISH_VOWELS = "aeiouáéíóúü";
+const HIATUS = "aeoáéíóú";
+
+function syllablesEs(word) {
+  let w = word.toLowerCase().replace(/[^a-záéíóúüñ]/g, "");
+  if (!w) return numberSyllables(word);
+  if (w === "y") return 1;
+  w = w
+    .replace(/(?<=[qg])u(?=[eiéí])/g, "") // silent u: que, qui, guerra, guiso
+    .replace(/(?<=[aeiou])y$/, "i");      // final y is a vowel: hoy, muy
+  let count = 0;
+  let prev = null;
+  for (const ch of w) {
+    if (!SPANISH_VOWELS.includes(ch)) {
+      prev = null;
+      continue;
+    }
+    if (prev === null || (HIATUS.includes(ch) && HIATUS.includes(prev))) count++;
+    prev = ch;
+  }
+  return Math.max(1, count);
+}
+
+// { words, sentences, syllables } — headings and list items count as sentences.
+function counts(text, lang) {
+  const syllables = lang === "es" ? syllablesEs : syllablesEn;
+  let words = 0;
+  let sentenceCount = 0;
+  let syllableCount = 0;
+  for (const sentence of sentences(text)) {
+    const tokens = sentence.match(WORD) || [];
+    if (!tokens.length) continue;
+    sentenceCount++;
+    words += tokens.length;
+    for (const token of tokens) syllableCount += syllables(token);
+  }
+  return { words, sentences: sentenceCount, syllables: syllableCount };
+}
+
+// ---- Scores ----
+// Fernández-Huerta ease → approximate US grade, interpolated between the midpoints
+// of its published bands (muy fácil = 4º grado … muy difícil = universitario).
+const FH_GRADES = [[95, 4], [85, 5], [75, 6], [65, 7.5], [55, 10], [40, 13], [15, 16]];
+
+function gradeFromEase(ease) {
+  if (ease >= FH_GRADES[0][0]) return FH_GRADES[0][1];
+  for (let i = 1; i < FH_GRADES.length; i++) {
+    const [hiEase, hiGrade] = FH_GRADES[i - 1];
+    const [loEase, loGrade] = FH_GRADES[i];
+    if (ease >= loEase) return hiGrade + ((hiEase - ease) / (hiEase - loEase)) * (loGrade - hiGrade);
+  }
+  return FH_GRADES[FH_GRADES.length - 1][1];
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+// Resolves { lang, formula, grade, scores, words, sentences } for `text`.
+// `grade` is null for empty text.
+function score(text, lang = "en") {
+  const c = counts(text, lang);
+  const base = { lang, formula: lang === "es" ? "fernandez-huerta" : "flesch-kincaid", words: c.words, sentences: c.sentences };
+  if (!c.words) return { ...base, grade: null, scores: {} };
+
+  const wordsPerSentence = c.words / c.sentences;
+  const syllablesPerWord = c.syllables / c.words;
+  if (lang === "es") {
+    const fernandezHuerta = 206.84 - 0.6 * (100 * syllablesPerWord) - 1.02 * (100 / wordsPerSentence);
+    const szigrisztPazos = 206.835 - 62.3 * syllablesPerWord - wordsPerSentence;
+    return {
+      ...base,
+      grade: round(Math.max(1, gradeFromEase(fernandezHuerta))),
+      scores: { fernandezHuerta: round(fernandezHuerta), szigrisztPazos: round(szigrisztPazos) }
+    };
+  }
+  const fleschKincaidGrade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+  const fleschReadingEase = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+  return {
+    ...base,
+    grade: round(Math.max(1, fleschKincaidGrade)),
+    scores: { fleschKincaidGrade: round(fleschKincaidGrade), fleschReadingEase: round(fleschReadingEase) }
+  };
+}
+
+// score() plus the verdict against { target?, words?: [min, max] }. `met` is null
+// when there is nothing to check; `missed` lists "grade" and/or "words".
+function assess(text, lang, { target = null, words = null } = {}) {
+  const s = score(text, lang);
+  const missed = [];
+  if (target != null && s.grade != null && s.grade > target + TOLERANCE) missed.push("grade");
+  if (words && (s.words < words[0] * (1 - WORD_SLACK) || s.words > words[1] * (1 + WORD_SLACK))) missed.push("words");
+  const checked = (target != null && s.grade != null) || !!words;
+  return { ...s, target, ...(words ? { wordRange: words } : {}), met: checked ? !missed.length : null, missed };
+}
+
+// ---- Prompts ----
+function sentenceWords(grade) {
+  return grade <= 5 ? 12 : grade <= 8 ? 15 : 20;
+}
+
+// Generation-time instruction appended to a system prompt.
+function directive(grade, lang) {
+  if (grade == null) return "";
+  return lang === "es"
+    ? `Nivel de lectura: escribe para un lector de ${grade}.º grado aproximadamente: oraciones de ${sentenceWords(grade)} palabras o menos, palabras de uso diario, y explica cualquier término médico con palabras sencillas.`
+    : `Reading level: write for about a US grade ${grade} reader: sentences of ${sentenceWords(grade)} words or fewer, everyday words, and explain any medical term in plain words.`;
+}
+
+// Request for the one simplification pass (same shape as lib/safety's rewriteRequest).
+function simplifyRequest(text, lang, { target, words }) {
+  const grade = target != null ? `at about a US grade ${target} reading level, with sentences of ${sentenceWords(target)} words or fewer and everyday words` : "in plain language";
+  const length = words ? ` Use ${words[0]}-${words[1]} words.` : "";
+  return {
+    system: `You rewrite patient-education text. Rewrite the user's text ${grade}, explaining any medical term in plain words.${length} Keep every fact, warning and disclaimer; do not add advice. Keep placeholders in square brackets (like [NAME_1]) exactly as written. Reply in ${lang === "es" ? "Spanish" : "English"} with the rewritten text only.`,
+    messages: [{ role: "user", content: text }]
+  };
+}
+
+// ---- Fitting ----
+function distance(a) {
+  const over = a.target != null && a.grade != null ? Math.max(0, a.grade - a.target) : 0;
+  const range = a.wordRange;
+  const off = range ? Math.max(0, range[0] - a.words, a.words - range[1]) / range[1] : 0;
+  return over + off * 10;
+}
+
+// Scores `text` and, when it misses the target, asks `rewrite(request)` (which must
+// resolve to text) for one simpler version. The rewrite is kept only if it meets
+// the target or gets closer. Resolves { text, readability } where readability is
+// assess()'s result plus action: "none" | "simplified" | "unchanged".
+async function fit(text, { lang = "en", target = null, words = null, rewrite } = {}) {
+  const first = assess(text, lang, { target, words });
+  if (first.met !== false || typeof rewrite !== "function") return { text, readability: { ...first, action: "none" } };
+  try {
+    const simpler = await rewrite(simplifyRequest(text, lang, { target, words }));
+    if (simpler && simpler.trim()) {
+      const second = assess(simpler, lang, { target, words });
+      if (second.met || distance(second) < distance(first)) {
+        return { text: simpler.trim(), readability: { ...second, action: "simplified", before: { grade: first.grade, words: first.words } } };
+      }
+    }
+  } catch (err) {
+    logger.warn("readability.simplify.failed", { error: err });
+  }
+  return { text, readability: { ...first, action: "unchanged" } };
+}
+
+module.exports = {
+  MIN_LEVEL,
+  MAX_LEVEL,
+  TOLERANCE,
+  DEFAULT_LEVEL,
+  level,
+  counts,
+  score,
+  assess,
+  directive,
+  simplifyRequest,
+  fit
+};
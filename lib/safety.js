@@ -0,0 +1,116 @@
+// lib/safety.js — post-generation safety pass over model answers
+// Flags individualized dosing, definitive diagnoses and medication start/stop
+// instructions using the reviewed rules in data/safety-rules.json, then acts on
+// them according to the mode:
+//   redact   — replace flagged sentences with a localized notice (default)
+//   rewrite  — ask a model to rewrite the answer; falls back if still flagged
+//   fallback — replace the whole answer with a safe localized message
+// Env (optional): SAFETY_MODE, SAFETY_RULES_FILE
+
+const path = require("path");
+const { normalize, sentences } = require("./text");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+const RULES_FILE = process.env.SAFETY_RULES_FILE || path.join(__dirname, "..", "data", "safety-rules.json");
+const MODES = ["redact", "rewrite", "fallback"];
+const DEFAULT_MODE = MODES.includes(process.env.SAFETY_MODE) ? process.env.SAFETY_MODE : "redact";
+
+const config = require(RULES_FILE);
+const rules = config.rules.map(rule => ({
+  id: rule.id,
+  category: rule.category,
+  patterns: Object.values(rule.patterns || {}).flat().map(src => new RegExp(src, "i"))
+}));
+
+function localized(entry, lang) {
+  return entry[lang] || entry.en;
+}
+
+// Leading list markers ("- ", "2) ") would hide sentence-initial imperatives.
+function prepare(sentence) {
+  return normalize(sentence).replace(/^([-*•]|\d+[.)])\s*/, "");
+}
+
+function matchSentence(sentence) {
+  const s = prepare(sentence);
+  if (!s) return [];
+  return rules.filter(rule => rule.patterns.some(re => re.test(s)));
+}
+
+// Deterministic check: { flagged, reasons: [category...], matches: [{ ruleId, category, excerpt }] }
+function check(text) {
+  const matches = [];
+  for (const sentence of sentences(text)) {
+    for (const rule of matchSentence(sentence)) {
+      matches.push({ ruleId: rule.id, category: rule.category, excerpt: sentence.trim().slice(0, 160) });
+    }
+  }
+  const reasons = [...new Set(matches.map(m => m.category))];
+  return { flagged: matches.length > 0, reasons, matches };
+}
+
+function redact(text, lang) {
+  const notice = localized(config.replacements.redacted, lang);
+  let last = false;
+  const out = [];
+  for (const sentence of sentences(text)) {
+    if (matchSentence(sentence).length) {
+      // collapse runs of flagged sentences into one notice
+      if (!last) out.push((/^\s/.test(sentence) ? " " : "") + notice);
+      last = true;
+    } else {
+      out.push(sentence);
+      if (sentence.trim()) last = false;
+    }
+  }
+  return out.join("").trim();
+}
+
+function fallbackText(lang) {
+  return localized(config.replacements.fallback, lang);
+}
+
+// Request for the `rewrite` mode's second model call.
+function rewriteRequest(text, lang) {
+  return {
+    system: config.rewrite.system.replace("{lang}", lang === "es" ? "Spanish" : "English"),
+    messages: [{ role: "user", content: text }]
+  };
+}
+
+// Runs the check and applies the mode. `rewrite(request)` must resolve to the
+// rewritten text (only called in rewrite mode); `fallback` overrides the
+// generic safe message (e.g. curated base text for enhancements).
+// Resolves { text, safety: { flagged, reasons, action } }.
+async function apply(text, opts = {}) {
+  const out = await applyMode(text, opts);
+  for (const reason of out.safety.reasons) metrics.safetyFlags.inc({ reason, action: out.safety.action });
+  return out;
+}
+
+async function applyMode(text, { lang = "en", mode = DEFAULT_MODE, rewrite, fallback } = {}) {
+  const result = check(text);
+  if (!result.flagged) return { text, safety: { flagged: false, reasons: [], action: "none" } };
+
+  const safety = { flagged: true, reasons: result.reasons };
+  if (mode === "rewrite" && typeof rewrite === "function") {
+    try {
+      const rewritten = await rewrite(rewriteRequest(text, lang));
+      if (rewritten && !check(rewritten).flagged) {
+        return { text: rewritten, safety: { ...safety, action: "rewritten" } };
+      }
+    } catch (err) {
+      logger.error("safety.rewrite.failed", { error: err });
+    }
+    return { text: fallback || fallbackText(lang), safety: { ...safety, action: "fallback" } };
+  }
+  if (mode === "fallback") {
+    return { text: fallback || fallbackText(lang), safety: { ...safety, action: "fallback" } };
+  }
+
+  const redacted = redact(text, lang);
+  return { text: redacted, safety: { ...safety, action: "redacted" } };
+}
+
+module.exports = { version: config.version, MODES, mode: DEFAULT_MODE, check, redact, fallbackText, rewriteRequest, apply };
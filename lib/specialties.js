@@ -0,0 +1,75 @@
+// lib/specialties.js — specialty profiles (prompt, topic scope, red flags, provider picks)
+// Profiles live in data/specialties.json; the frontend names one via
+// <meta name="app-specialty"> and GET /specialties lists them.
+// Env (optional): SPECIALTIES_FILE, SPECIALTY_STRICT=1 to reject unknown names instead of using the default.
+
+const path = require("path");
+const { normalize } = require("./text");
+
+const FILE = process.env.SPECIALTIES_FILE || path.join(__dirname, "..", "data", "specialties.json");
+const STRICT = process.env.SPECIALTY_STRICT === "1";
+
+const config = require(FILE);
+const byId = new Map(config.profiles.map(p => [p.id, p]));
+const byAlias = new Map();
+for (const p of config.profiles) {
+  for (const name of [p.id, ...(p.aliases || [])]) byAlias.set(normalize(name), p);
+}
+
+const fallback = byId.get(config.default);
+if (!fallback) throw new Error(`specialties: default profile "${config.default}" is not defined`);
+
+// Resolves a free-form specialty name. Returns { profile, known };
+// with SPECIALTY_STRICT=1 an unknown name yields { profile: null, known: false }.
+function resolve(name) {
+  const profile = byAlias.get(normalize(name || ""));
+  if (profile) return { profile, known: true };
+  return { profile: STRICT ? null : fallback, known: false };
+}
+
+// A profile's directive, scope and tone in the answer language: the specialty
+// variables of the chat prompt templates (lib/prompts).
+function promptVars(profile, lang) {
+  const l = lang === "es" ? "es" : "en";
+  return {
+    directive: profile.directive[l] || profile.directive.en,
+    scope: profile.scope[l] || profile.scope.en,
+    tone: profile.tone
+  };
+}
+
+// Preferred providers first (when available), then the rest in their given order.
+function order(profile, available) {
+  const preferred = (profile.providers || []).filter(p => available.includes(p));
+  return [...preferred, ...available.filter(p => !preferred.includes(p))];
+}
+
+function modelFor(profile, provider) {
+  return (profile.models || {})[provider] || undefined;
+}
+
+// Public listing for GET /specialties (no prompts or patterns).
+function list() {
+  return config.profiles.map(p => ({
+    id: p.id,
+    label: p.label,
+    aliases: (p.aliases || []).filter(Boolean),
+    scope: p.scope,
+    topics: p.topics,
+    tone: p.tone,
+    redFlags: (p.redFlags || []).map(r => r.id),
+    providers: p.providers
+  }));
+}
+
+module.exports = {
+  version: config.version,
+  default: config.default,
+  strict: STRICT,
+  get: id => byId.get(id) || null,
+  resolve,
+  promptVars,
+  order,
+  modelFor,
+  list
+};
@@ -0,0 +1,76 @@
+// lib/sse.js — Server-Sent Events in both directions
+// readEvents(): parse an upstream provider stream (fetch Response body)
+// open():       turn an Express response into a normalized event sink
+
+// Yields { event, data } for every event in an upstream SSE body.
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let idx;
+    // events are separated by a blank line; tolerate CRLF from some proxies
+    while ((idx = buf.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx).replace(/^\r?\n\r?\n/, "");
+      const evt = parseEvent(raw);
+      if (evt) yield evt;
+    }
+  }
+  const tail = parseEvent(buf);
+  if (tail) yield tail;
+}
+
+function parseEvent(raw) {
+  let event = "message";
+  const data = [];
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const i = line.indexOf(":");
+    const field = i === -1 ? line : line.slice(0, i);
+    const value = i === -1 ? "" : line.slice(i + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  if (!data.length) return null;
+  return { event, data: data.join("\n") };
+}
+
+// Normalized downstream events: `delta` { text }, `done` { provider, ms, ... }, `error` { message, ... }
+// `done` and `error` carry the request id set by lib/logger's trace middleware.
+function open(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // keep Render/nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+
+  return {
+    get closed() { return closed; },
+    send(event, payload) {
+      if (closed) return;
+      const requestId = res.locals?.requestId;
+      const data = requestId && event !== "delta" ? { ...payload, requestId } : payload;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
+
+function wantsStream(req) {
+  const q = String(req.query?.stream || "").toLowerCase();
+  if (q === "1" || q === "true") return true;
+  return String(req.get("accept") || "").includes("text/event-stream");
+}
+
+module.exports = { readEvents, open, wantsStream };
@@ -0,0 +1,160 @@
+// lib/structured.js — opt-in sectioned answers for /chat (format: "structured")
+// The model is asked for one JSON object (via each vendor's JSON mode, see the
+// `schema` option in lib/providers.js) with the SECTIONS below. Replies are parsed
+// tolerantly (code fences, prose around the object), repaired once by a model when
+// malformed, and otherwise rebuilt from the free text, so a structured request
+// always gets a valid document. Sources are never taken from the model: callers
+// attach the vetted knowledge-base sources themselves.
+// The plain-text rendering is what conversation history, readability scores and
+// older clients see.
+
+const safety = require("./safety");
+const metrics = require("./metrics");
+const logger = require("./logger");
+const i18n = require("./i18n");
+
+const FORMATS = ["text", "structured"];
+const SECTIONS = ["summary", "keyPoints", "selfCare", "whenToSeekCare", "questionsForClinician"];
+const LISTS = SECTIONS.filter(s => s !== "summary");
+const MAX_ITEMS = 8;
+const MAX_CHARS = 600;
+
+const list = { type: "array", items: { type: "string" } };
+const SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    keyPoints: list,
+    selfCare: list,
+    whenToSeekCare: list,
+    questionsForClinician: list
+  },
+  required: SECTIONS,
+  additionalProperties: false
+};
+
+const FIELDS_PROMPT = `a single JSON object with exactly these fields:
+- "summary": a 2-3 sentence overview (string)
+- "keyPoints": 3-5 short key facts (array of strings)
+- "selfCare": generally safe self-care tips (array of strings)
+- "whenToSeekCare": warning signs that need a clinician or emergency care (array of strings)
+- "questionsForClinician": 2-4 questions the patient could ask their clinician (array of strings)
+Use an empty array for a section that does not apply. No URLs, no markdown, no text outside the JSON.`;
+
+// Appended to the chat system prompt.
+function instruction(lang) {
+  return `Answer format: reply with ${FIELDS_PROMPT} Write every value in ${lang === "es" ? "Spanish" : "English"}.`;
+}
+
+// Second model call when the first reply is not a valid document (same shape as
+// lib/safety's rewriteRequest, plus the schema so JSON mode stays on).
+function repairRequest(text, lang) {
+  return {
+    system: `You convert a patient-education answer into ${FIELDS_PROMPT} Keep the wording and every warning; do not add advice. Keep placeholders in square brackets (like [NAME_1]) exactly as written. Write every value in ${lang === "es" ? "Spanish" : "English"}.`,
+    messages: [{ role: "user", content: text }],
+    schema: SCHEMA
+  };
+}
+
+function empty() {
+  return { summary: "", keyPoints: [], selfCare: [], whenToSeekCare: [], questionsForClinician: [] };
+}
+
+const clean = s => String(s).replace(/\s+/g, " ").trim().slice(0, MAX_CHARS);
+
+// Coerces a parsed object into the document shape, or null when there is no summary
+// to show. A lone string where a list belongs becomes a one-item list.
+function normalize(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+  const doc = empty();
+  if (typeof obj.summary !== "string" || !clean(obj.summary)) return null;
+  doc.summary = clean(obj.summary);
+  for (const name of LISTS) {
+    const value = typeof obj[name] === "string" ? [obj[name]] : obj[name];
+    if (!Array.isArray(value)) continue;
+    doc[name] = value.filter(v => typeof v === "string" && clean(v)).map(clean).slice(0, MAX_ITEMS);
+  }
+  return doc;
+}
+
+// The document in `text`, tolerating code fences and prose around the object; null if none.
+function parse(text) {
+  const raw = String(text || "").trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+  const candidates = [raw];
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+  for (const candidate of candidates) {
+    try {
+      const doc = normalize(JSON.parse(candidate));
+      if (doc) return doc;
+    } catch { /* try the next candidate */ }
+  }
+  return null;
+}
+
+// Last resort: bullet lines become key points, the rest is the summary.
+function fromText(text) {
+  const doc = empty();
+  const prose = [];
+  for (const line of String(text || "").split(/\n+/)) {
+    const bullet = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.*)$/);
+    if (bullet && clean(bullet[1])) doc.keyPoints.push(clean(bullet[1]));
+    else if (clean(line)) prose.push(line.trim());
+  }
+  doc.summary = clean(prose.join(" ")) || doc.keyPoints.shift() || "";
+  doc.keyPoints = doc.keyPoints.slice(0, MAX_ITEMS);
+  return doc;
+}
+
+// Resolves { doc, repair: "none" | "repaired" | "fallback" }. `repair(request)` must
+// resolve to the model's text; it is called at most once.
+async function build(text, { lang = "en", repair } = {}) {
+  const doc = parse(text);
+  if (doc) return { doc, repair: "none" };
+  if (typeof repair === "function") {
+    try {
+      const repaired = parse(await repair(repairRequest(text, lang)));
+      if (repaired) return { doc: repaired, repair: "repaired" };
+    } catch (err) {
+      logger.warn("structured.repair.failed", { error: err });
+    }
+  }
+  return { doc: fromText(text), repair: "fallback" };
+}
+
+// Applies `fn` to every string in the document (PHI restore, redaction).
+function map(doc, fn) {
+  const out = { ...doc, summary: fn(doc.summary) };
+  for (const name of LISTS) out[name] = doc[name].map(fn);
+  return out;
+}
+
+// lib/safety per section: flagged sentences are redacted in place (the rewrite mode
+// would lose the structure), or the whole document becomes the fallback message
+// when SAFETY_MODE=fallback. Returns { doc, safety: { flagged, reasons, action } }.
+function sanitize(doc, lang = "en") {
+  const reasons = new Set();
+  const redacted = map(doc, s => {
+    const result = safety.check(s);
+    if (!result.flagged) return s;
+    result.reasons.forEach(r => reasons.add(r));
+    return safety.redact(s, lang);
+  });
+  if (!reasons.size) return { doc, safety: { flagged: false, reasons: [], action: "none" } };
+  const action = safety.mode === "fallback" ? "fallback" : "redacted";
+  for (const reason of reasons) metrics.safetyFlags.inc({ reason, action });
+  const out = action === "fallback" ? { ...empty(), summary: safety.fallbackText(lang) } : redacted;
+  return { doc: out, safety: { flagged: true, reasons: [...reasons], action } };
+}
+
+// Plain-text version with the catalog's section headings (lib/i18n `section.*`).
+function render(doc, lang = "en") {
+  const parts = [doc.summary];
+  for (const name of LISTS) {
+    if (doc[name].length) parts.push(`${i18n.t(`section.${name}`, lang)}:\n${doc[name].map(item => `- ${item}`).join("\n")}`);
+  }
+  return parts.filter(Boolean).join("\n\n");
+}
+
+module.exports = { FORMATS, SECTIONS, SCHEMA, instruction, repairRequest, parse, normalize, fromText, build, map, sanitize, render };
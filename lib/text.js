@@ -0,0 +1,20 @@
+// lib/text.js — small text helpers shared by the rule-based screens
+
+// Lowercase, strip accents and normalize apostrophes so rule patterns stay ASCII.
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019`]/g, "'")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Split into sentences/lines, keeping the separators so the text can be rejoined.
+// Decimal points ("2.5 mg") don't end a sentence.
+function sentences(text) {
+  return String(text || "").match(/(?:[^.!?\n]|\.(?=\d))+(?:[.!?]+|(?=\n)|$)|\n+/g) || [];
+}
+
+module.exports = { normalize, sentences };
@@ -0,0 +1,45 @@
+// lib/triage.js — emergency red-flag pre-screen (EN/ES), run before any model call
+// Rules, localized responses and hotline numbers live in data/triage-rules.json
+// so clinical advisors can review them without reading code.
+// Env (optional): TRIAGE_RULES_FILE to point at a reviewed copy elsewhere.
+
+const path = require("path");
+const { normalize } = require("./text");
+
+const RULES_FILE = process.env.TRIAGE_RULES_FILE || path.join(__dirname, "..", "data", "triage-rules.json");
+
+function compile(rules) {
+  return rules.map(rule => ({
+    id: rule.id,
+    category: rule.category,
+    response: rule.response || "emergency",
+    patterns: Object.entries(rule.patterns || {}).flatMap(([lang, list]) =>
+      list.map(src => ({ lang, re: new RegExp(src, "i") }))
+    )
+  }));
+}
+
+const config = require(RULES_FILE);
+const compiled = compile(config.rules);
+
+// Returns the first matching rule as { ruleId, category, response, lang } or null.
+// `extraRules` (same shape as the data file) are checked after the base set.
+function screen(text, { extraRules = [] } = {}) {
+  const t = normalize(text);
+  if (!t) return null;
+  const rules = extraRules.length ? compiled.concat(compile(extraRules)) : compiled;
+  for (const rule of rules) {
+    const hit = rule.patterns.find(p => p.re.test(t));
+    if (hit) return { ruleId: rule.id, category: rule.category, response: rule.response, lang: hit.lang };
+  }
+  return null;
+}
+
+// Fixed, localized reply for a match; falls back to English for unknown languages.
+function respond(match, lang) {
+  const templates = config.responses[match.response] || config.responses.emergency;
+  const template = templates[lang] || templates.en;
+  return template.replace(/\{(\w+)\}/g, (m, key) => config.numbers[key] || m);
+}
+
+module.exports = { version: config.version, normalize, screen, respond };
@@ -0,0 +1,162 @@
+// lib/usage.js — token usage and cost accounting
+// Every provider call is metered: tokens come from the provider's usage block
+// (estimated from text length when it reports none) and cost from the price
+// table in data/prices.json. Calls roll up into daily aggregates per
+// provider/model/client/specialty/route, persisted to USAGE_FILE and queried
+// by GET /admin/usage.
+// Env (optional): PRICES_FILE, USAGE_FILE (default .data/usage.json), USAGE_RETENTION_DAYS (default 400)
+
+const fs = require("fs");
+const path = require("path");
+const { estimateTokens } = require("./conversations");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+const PRICES_FILE = process.env.PRICES_FILE || path.join(__dirname, "..", "data", "prices.json");
+const FILE = process.env.USAGE_FILE || path.join(__dirname, "..", ".data", "usage.json");
+const RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS) || 400;
+const GROUPS = ["provider", "model", "client", "specialty", "route", "day"];
+
+const prices = require(PRICES_FILE);
+
+// ---- Pricing ----
+// Longest price key that prefixes the reported model id (Gemini may prefix "models/").
+function price(provider, model) {
+  const table = prices.models[provider] || {};
+  const id = String(model || "").replace(/^models\//, "");
+  const key = Object.keys(table).filter(k => id.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+const round = usd => Math.round(usd * 1e6) / 1e6;
+
+function cost(provider, model, { promptTokens, completionTokens }) {
+  const p = price(provider, model);
+  if (!p) return null;
+  return round((promptTokens * p.input + completionTokens * p.output) / 1e6);
+}
+
+// ---- Aggregates ----
+let state = null;
+let saveFailed = false;
+
+function load() {
+  if (state) return state;
+  try {
+    state = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.error("usage.read.failed", { file: FILE, error: err });
+    state = { version: 1, rows: {} };
+  }
+  return state;
+}
+
+// Serverless targets may have a read-only disk; aggregates then live for the instance only.
+function save() {
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const [k, row] of Object.entries(state.rows)) if (row.day < cutoff) delete state.rows[k];
+    fs.mkdirSync(path.dirname(FILE), { recursive: true });
+    const tmp = `${FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, FILE);
+  } catch (err) {
+    if (!saveFailed) logger.error("usage.write.failed", { file: FILE, error: err });
+    saveFailed = true;
+  }
+}
+
+let pending = null;
+function saveSoon() {
+  if (pending) return;
+  pending = setTimeout(() => { pending = null; save(); }, 5000);
+  pending.unref();
+}
+
+function record({ provider, model, client, specialty, route }, u, costUSD) {
+  load();
+  const day = new Date().toISOString().slice(0, 10);
+  const dims = { day, provider, model: model || "unknown", client: client || "anonymous", specialty: specialty || "-", route };
+  const key = GROUPS.map(g => dims[g]).join("|");
+  const row = state.rows[key] || (state.rows[key] = { ...dims, requests: 0, promptTokens: 0, completionTokens: 0, costUSD: 0, unpriced: 0 });
+  row.requests++;
+  row.promptTokens += u.promptTokens;
+  row.completionTokens += u.completionTokens;
+  if (costUSD == null) row.unpriced++;
+  else row.costUSD = round(row.costUSD + costUSD);
+  saveSoon();
+}
+
+// ---- Per-request meter ----
+// const m = meter({ route: "chat", client, specialty });
+// m.add(provider, result, { prompt, completion })  — text used only if the provider reported no tokens
+// m.total() → { promptTokens, completionTokens, totalTokens, costUSD, estimated, calls }
+function meter(ctx) {
+  const total = { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUSD: 0, estimated: false, calls: 0 };
+  let unpriced = false;
+  return {
+    add(provider, result, text = {}) {
+      let u = result?.usage || {};
+      const estimated = !u.totalTokens;
+      if (estimated) {
+        u = { promptTokens: estimateTokens(text.prompt), completionTokens: estimateTokens(text.completion ?? result?.text) };
+      }
+      const promptTokens = u.promptTokens || 0;
+      const completionTokens = u.completionTokens || 0;
+      const usd = cost(provider, result?.model, { promptTokens, completionTokens });
+      record({ ...ctx, provider, model: result?.model }, { promptTokens, completionTokens }, usd);
+      metrics.tokens.inc({ provider, kind: "prompt" }, promptTokens);
+      metrics.tokens.inc({ provider, kind: "completion" }, completionTokens);
+      if (usd != null) metrics.costUSD.inc({ provider }, usd);
+
+      total.promptTokens += promptTokens;
+      total.completionTokens += completionTokens;
+      total.totalTokens += promptTokens + completionTokens;
+      total.estimated = total.estimated || estimated;
+      total.calls++;
+      if (usd == null) unpriced = true;
+      else total.costUSD = round(total.costUSD + usd);
+    },
+    total() {
+      return { ...total, costUSD: unpriced ? null : total.costUSD };
+    }
+  };
+}
+
+// ---- Queries ----
+// { from, to } are inclusive YYYY-MM-DD days (default: month to date, UTC).
+function query({ from, to, groupBy = "provider" } = {}) {
+  if (!GROUPS.includes(groupBy)) throw new TypeError(`"groupBy" must be one of ${GROUPS.join(", ")}`);
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  const today = new Date().toISOString().slice(0, 10);
+  from = from || `${today.slice(0, 8)}01`;
+  to = to || today;
+  if (!day.test(from) || !day.test(to)) throw new TypeError('"from" and "to" must be YYYY-MM-DD');
+
+  const groups = new Map();
+  const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUSD: 0, unpriced: 0 };
+  for (const row of Object.values(load().rows)) {
+    if (row.day < from || row.day > to) continue;
+    const key = row[groupBy];
+    const g = groups.get(key) || { key, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUSD: 0, unpriced: 0 };
+    for (const acc of [g, totals]) {
+      acc.requests += row.requests;
+      acc.promptTokens += row.promptTokens;
+      acc.completionTokens += row.completionTokens;
+      acc.totalTokens += row.promptTokens + row.completionTokens;
+      acc.costUSD = round(acc.costUSD + row.costUSD);
+      acc.unpriced += row.unpriced;
+    }
+    groups.set(key, g);
+  }
+  return {
+    from,
+    to,
+    groupBy,
+    currency: prices.currency,
+    totals,
+    groups: [...groups.values()].sort((a, b) => b.costUSD - a.costUSD || b.totalTokens - a.totalTokens)
+  };
+}
+
+module.exports = { GROUPS, pricesVersion: prices.version, price, cost, meter, query, flush: () => state && save() };
@@ -0,0 +1,156 @@
+// lib/validate.js — declared request-body schemas and a small validator
+// A field spec is { type, required?, min?, max?, enum?, code?, fields? }:
+//   type    "string" | "number" | "integer" | "boolean" | "object" | "array"
+//   min/max string length (after trim) — enforced before anything reaches a model —
+//           the value itself for numbers, or the item count for arrays
+//   enum    allowed values (array, or a function returning one, for lists that
+//           come from config like providers and specialties); strings match case-
+//           insensitively and are lowercased in the body, so handlers see "es", not "ES"
+//   code    lib/errors code to report instead of "validation_failed"
+//   fields  nested specs for objects (without it, any object is accepted)
+// Unknown fields are ignored so older and newer clients keep working.
+// Env (optional): CHAT_MAX_CHARS (default 4000), TRANSLATE_MAX_CHARS (default 8000)
+
+const providers = require("./providers");
+const specialties = require("./specialties");
+const language = require("./language");
+const readability = require("./readability");
+const structured = require("./structured");
+const feedback = require("./feedback");
+const handout = require("./handout");
+const { ApiError } = require("./errors");
+
+const CHAT_MAX = Number(process.env.CHAT_MAX_CHARS) || 4000;
+const TRANSLATE_MAX = Number(process.env.TRANSLATE_MAX_CHARS) || 8000;
+
+// US school grade the answer should read at (see lib/readability)
+const readingLevel = { type: "integer", min: readability.MIN_LEVEL, max: readability.MAX_LEVEL };
+
+const prefer = {
+  type: "object",
+  fields: {
+    provider: { type: "string", enum: () => ["auto", ...providers.names()], code: "unknown_provider" },
+    lang: { type: "string", enum: () => language.LANGS, code: "unsupported_language" },
+    readingLevel
+  }
+};
+
+// Specialty names resolve through ids, labels and aliases; unknown names fall back
+// to the default profile unless SPECIALTY_STRICT=1 (see lib/specialties).
+const specialty = {
+  type: "string",
+  max: 64,
+  check: v => (specialties.resolve(v).profile ? null : `Unknown specialty "${v}"`),
+  code: "unknown_specialty",
+  details: () => ({ supported: specialties.list().map(s => s.id) })
+};
+
+const schemas = {
+  chat: {
+    message: { type: "string", required: true, min: 1, max: CHAT_MAX },
+    conversationId: { type: "string", max: 100 },
+    specialty,
+    format: { type: "string", enum: structured.FORMATS },
+    prefer
+  },
+  translate: {
+    text: { type: "string", required: true, min: 1, max: TRANSLATE_MAX },
+    target: { type: "string", enum: () => language.LANGS, code: "unsupported_language" },
+    preserveGlossary: { type: "boolean" },
+    prefer: { type: "object", fields: { provider: prefer.fields.provider } }
+  },
+  enhance: {
+    base: { type: "string", required: true, min: 1, max: 6000 },
+    topic: { type: "string", required: true, min: 1, max: 64 },
+    lang: { type: "string", enum: () => language.LANGS, code: "unsupported_language" },
+    readingLevel
+  },
+  feedback: {
+    responseId: { type: "string", required: true, min: 1, max: 100 },
+    rating: { type: "string", required: true, enum: feedback.RATINGS },
+    reason: { type: "string", enum: feedback.REASONS },
+    comment: { type: "string", max: feedback.COMMENT_MAX }
+  },
+  // the handout's content comes back from the client; lib/handout re-checks it
+  export: {
+    answer: { type: "string", required: true, min: 1, max: handout.MAX_ANSWER },
+    source: { type: "string", enum: handout.SOURCES },
+    format: { type: "string", enum: handout.FORMATS },
+    question: { type: "string", max: CHAT_MAX },
+    topic: { type: "string", max: 64 },
+    structured: { type: "object" },
+    sources: { type: "array", max: handout.MAX_SOURCES },
+    lang: { type: "string", enum: () => language.LANGS, code: "unsupported_language" },
+    responseId: { type: "string", max: 100 }
+  }
+};
+
+// First problem found as an ApiError, or null. `path` names nested fields ("prefer.lang").
+function check(fields, body, path = "") {
+  if (body == null || typeof body !== "object" || Array.isArray(body)) {
+    return new ApiError("validation_failed", path ? `"${path}" must be an object` : "Request body must be a JSON object", { field: path || null });
+  }
+  for (const [name, spec] of Object.entries(fields)) {
+    const field = path ? `${path}.${name}` : name;
+    const value = body[name];
+    const fail = message => new ApiError(spec.code || "validation_failed", message, { field, ...(spec.details ? spec.details() : {}) });
+
+    if (value == null || value === "") {
+      if (spec.required) return new ApiError("validation_failed", `"${field}" is required`, { field });
+      continue;
+    }
+    if (spec.type === "object") {
+      const nested = check(spec.fields || {}, value, field);
+      if (nested) return nested;
+      continue;
+    }
+    if (spec.type === "array") {
+      if (!Array.isArray(value)) return new ApiError("validation_failed", `"${field}" must be an array`, { field });
+      if (spec.max != null && value.length > spec.max) return new ApiError("validation_failed", `"${field}" must have at most ${spec.max} items`, { field, max: spec.max });
+      continue;
+    }
+    if (spec.type === "integer" ? !Number.isInteger(value) : typeof value !== spec.type) {
+      return new ApiError("validation_failed", `"${field}" must be ${spec.type === "integer" ? "an" : "a"} ${spec.type}`, { field });
+    }
+    if (spec.type === "string") {
+      const len = value.trim().length;
+      if (spec.min != null && len < spec.min) return new ApiError("validation_failed", `"${field}" must not be empty`, { field });
+      if (spec.max != null && len > spec.max) return new ApiError("validation_failed", `"${field}" must be at most ${spec.max} characters`, { field, max: spec.max });
+    }
+    if (spec.type === "number" || spec.type === "integer") {
+      if ((spec.min != null && value < spec.min) || (spec.max != null && value > spec.max)) {
+        return new ApiError("validation_failed", `"${field}" must be between ${spec.min} and ${spec.max}`, { field, min: spec.min, max: spec.max });
+      }
+    }
+    if (spec.enum) {
+      const allowed = typeof spec.enum === "function" ? spec.enum() : spec.enum;
+      const v = typeof value === "string" ? value.toLowerCase() : value;
+      if (!allowed.includes(v)) {
+        return new ApiError(spec.code || "validation_failed", `"${field}" must be one of ${allowed.join(", ")}`, { field, allowed });
+      }
+      body[name] = v;
+    }
+    if (spec.check) {
+      const problem = spec.check(value);
+      if (problem) return fail(problem);
+    }
+  }
+  return null;
+}
+
+// Throws the first problem for a named schema (handler cores, index.js).
+function assert(name, body) {
+  const err = check(schemas[name], body);
+  if (err) throw err;
+  return body;
+}
+
+// Express middleware: rejects the request with the error envelope.
+function body(name) {
+  return (req, res, next) => {
+    const err = check(schemas[name], req.body);
+    return err ? next(err) : next();
+  };
+}
+
+module.exports = { CHAT_MAX, TRANSLATE_MAX, schemas, check, assert, body };
@@ -0,0 +1,9 @@
+// scripts/build-kb-index.js — rebuild data/kb/index.json from data/kb/articles
+// Usage: npm run kb:index
+
+const fs = require("fs");
+const knowledge = require("../lib/knowledge");
+
+const index = knowledge.build();
+fs.writeFileSync(knowledge.INDEX_FILE, JSON.stringify(index) + "\n");
+console.log(`KB ${index.kbVersion}: ${Object.keys(index.articles).length} articles, ${index.docs.length} passages → ${knowledge.INDEX_FILE}`);
@@ -0,0 +1,25 @@
+// scripts/i18n-check.js — compare every UI catalog (data/i18n) with the English reference
+// Usage: npm run i18n:check   (exits 1 on missing keys or mismatched placeholders)
+
+const i18n = require("../lib/i18n");
+const errors = require("../lib/errors");
+
+let failed = 0;
+
+// every lib/errors code needs a user-facing message
+const uncovered = Object.keys(errors.STATUS).filter(code => !(`error.${code}` in i18n.messages(i18n.REFERENCE)));
+if (uncovered.length) {
+  failed++;
+  console.log(`FAIL [${i18n.REFERENCE}] no error.<code> message for: ${uncovered.join(", ")}`);
+}
+
+for (const lang of i18n.LANGS.filter(l => l !== i18n.REFERENCE)) {
+  const { missing, extra, placeholders } = i18n.problems(lang);
+  if (missing.length) console.log(`FAIL [${lang}] missing: ${missing.join(", ")}`);
+  if (placeholders.length) console.log(`FAIL [${lang}] placeholders differ: ${placeholders.join(", ")}`);
+  if (extra.length) console.log(`WARN [${lang}] not in ${i18n.REFERENCE}.json (ignored): ${extra.join(", ")}`);
+  if (missing.length || placeholders.length) failed++;
+}
+
+console.log(`${i18n.LANGS.length - failed}/${i18n.LANGS.length} catalogs complete (${i18n.LANGS.join(", ")}; reference ${i18n.REFERENCE} ${i18n.version})`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,20 @@
+// scripts/phi-check.js — run the PHI de-identification fixtures against the current rules
+// Usage: npm run phi:check   (exits 1 on any mismatch)
+
+const phi = require("../lib/phi");
+const { cases } = require("../data/phi-fixtures.json");
+
+const sameSet = (a, b) => a.length === b.length && a.every(x => b.includes(x));
+
+let failed = 0;
+for (const c of cases) {
+  const { text, categories } = phi.redact(c.text);
+  const lost = (c.keep || []).filter(k => !text.includes(k));
+  if (!sameSet(categories, c.expect) || lost.length) {
+    failed++;
+    console.log(`FAIL [${c.lang}] "${c.text}" expected [${c.expect}], got [${categories}] → "${text}"${lost.length ? ` (lost: ${lost.join(", ")})` : ""}`);
+  }
+}
+
+console.log(`${cases.length - failed}/${cases.length} PHI fixtures pass (rules ${phi.version})`);
+process.exitCode = failed ? 1 : 0;
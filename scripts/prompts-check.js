@@ -0,0 +1,33 @@
+// scripts/prompts-check.js — load the prompt registry and render every template
+// Usage: npm run prompts:check   (exits 1 if the registry or a template is broken)
+
+// lib/prompts checks the registry and template variables as it loads
+let prompts;
+try {
+  prompts = require("../lib/prompts");
+} catch (e) {
+  console.log(`FAIL ${e.message}`);
+  process.exit(1);
+}
+const state = prompts.info();
+
+let failed = 0;
+for (const t of state.templates) {
+  const template = prompts.get(t.id);
+  const vars = Object.fromEntries((t.variables || []).map(name => [name, `<${name}>`]));
+  const unused = (t.variables || []).filter(name => !prompts.placeholders(template).includes(name));
+  try {
+    for (const field of ["system", "user"].filter(f => template[f] != null)) {
+      for (const lang of ["en", "es"]) prompts.render(template, field, vars, lang);
+    }
+    console.log(`ok   ${t.id}${unused.length ? ` (declared but unused: ${unused.join(", ")})` : ""}`);
+  } catch (e) {
+    failed++;
+    console.log(`FAIL ${t.id}: ${e.message}`);
+  }
+}
+
+const active = Object.entries(state.routes).map(([route, id]) => `${route}=${id}`).join(", ");
+const running = state.experiments.filter(e => e.enabled !== false).map(e => `${e.id} (${Object.keys(e.variants).join(" vs ")})`);
+console.log(`${state.templates.length - failed}/${state.templates.length} templates pass (registry ${state.version}; ${active}; experiments: ${running.join(", ") || "none"})`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,20 @@
+// scripts/safety-check.js — run the output safety fixtures against the current rules
+// Usage: npm run safety:check   (exits 1 on any mismatch)
+
+const safety = require("../lib/safety");
+const { cases } = require("../data/safety-fixtures.json");
+
+const sameSet = (a, b) => a.length === b.length && a.every(x => b.includes(x));
+
+let failed = 0;
+for (const c of cases) {
+  const { reasons, matches } = safety.check(c.text);
+  if (!sameSet(reasons, c.expect)) {
+    failed++;
+    const rules = matches.map(m => m.ruleId).join(", ");
+    console.log(`FAIL [${c.lang}] "${c.text}" expected [${c.expect}], got [${reasons}]${rules ? ` (${rules})` : ""}`);
+  }
+}
+
+console.log(`${cases.length - failed}/${cases.length} safety fixtures pass (rules ${safety.version})`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,18 @@
+// scripts/triage-check.js — run the triage corpus against the current rules
+// Usage: npm run triage:check   (exits 1 on any mismatch)
+
+const triage = require("../lib/triage");
+const { cases } = require("../data/triage-corpus.json");
+
+let failed = 0;
+for (const c of cases) {
+  const match = triage.screen(c.text);
+  const got = match ? match.category : null;
+  if (got !== c.expect) {
+    failed++;
+    console.log(`FAIL [${c.lang}] "${c.text}" expected ${c.expect}, got ${got}${match ? ` (${match.ruleId})` : ""}`);
+  }
+}
+
+console.log(`${cases.length - failed}/${cases.length} triage cases pass (rules ${triage.version})`);
+process.exitCode = failed ? 1 : 0;
@@ -1,15 +1,58 @@
 // server.js — InfoHealth AI backend (Render)
 // Env on Render: OPENAI_API_KEY (required for OpenAI)
 // Optional: ANTHROPIC_API_KEY, GEMINI_API_KEY, ALLOWED_ORIGINS (comma-separated)
+// Offline: MOCK_PROVIDER=1 enables the scripted "mock" provider (see lib/mock.js)
+// Client auth: API_AUTH, ADMIN_TOKEN, API_KEYS_FILE and rate/quota limits (see lib/apikeys.js)
+// Logging: LOG_LEVEL, LOG_CONTENT=off|hashed|full (see lib/logger.js)
+// Readability: READING_LEVEL default target grade, READABILITY_TOLERANCE (see lib/readability.js)
+// Feedback: POST /feedback ratings, GET /admin/feedback export; FEEDBACK_FILE (see lib/feedback.js)
+// Handouts: POST /export printable HTML/PDF; HANDOUT_BRAND, HANDOUT_COLOR, HANDOUT_FOOTER (see lib/handout.js)
+// Prompts: versioned templates and A/B experiments in data/prompts.json (see lib/prompts.js)
+// Monitoring: GET /metrics (Prometheus; METRICS_TOKEN to require a bearer token), GET /health?deep=1 (see lib/health.js)
 
 try { require("dotenv").config(); } catch {} // ok if dotenv not installed
 
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
+const conversations = require("./lib/conversations");
+const sse = require("./lib/sse");
+const providers = require("./lib/providers");
+const failover = require("./lib/failover");
+const triage = require("./lib/triage");
+const safety = require("./lib/safety");
+const knowledge = require("./lib/knowledge");
+const language = require("./lib/language");
+const specialties = require("./lib/specialties");
+const apikeys = require("./lib/apikeys");
+const usage = require("./lib/usage");
+const cache = require("./lib/cache");
+const phi = require("./lib/phi");
+const readability = require("./lib/readability");
+const structured = require("./lib/structured");
+const i18n = require("./lib/i18n");
+const prompts = require("./lib/prompts");
+const feedback = require("./lib/feedback");
+const handout = require("./lib/handout");
+const logger = require("./lib/logger");
+const metrics = require("./lib/metrics");
+const health = require("./lib/health");
+const errors = require("./lib/errors");
+const validate = require("./lib/validate");
+const { toExpress } = require("./lib/adapters");
+const hello = require("./lib/handlers/hello");
+const enhance = require("./lib/handlers/enhance");
 
 const app  = express();
 const PORT = process.env.PORT || 10000;
 
+// Render terminates TLS in front of us; trust one hop so req.ip is the caller for per-IP limits
+app.set("trust proxy", 1);
+
+// ---- Request ids + audit log (first, so auth/CORS failures are traced too) ----
+app.use(logger.trace);
+app.use(metrics.track);
+
 // ---- CORS ----
 const allowed = (process.env.ALLOWED_ORIGINS || "")
   .split(",")
@@ -22,142 +65,839 @@ app.use(cors({
     if (allowed.length === 0) return cb(null, true); // allow all if unset
     return allowed.includes(origin)
       ? cb(null, true)
-      : cb(new Error("Not allowed by CORS"));
-  }
+      : cb(new errors.ApiError("forbidden_origin", "Origin not allowed by CORS"));
+  },
+  exposedHeaders: ["X-Request-Id", "Retry-After"]
 }));
 
 app.use(express.json({ limit: "1mb" }));
 
 // ---- Provider flags ----
-const hasOpenAI    = !!process.env.OPENAI_API_KEY;
-const hasAnthropic = !!process.env.ANTHROPIC_API_KEY;
-const hasGemini    = !!process.env.GEMINI_API_KEY;
+const hasOpenAI    = providers.isConfigured("openai");
+const hasAnthropic = providers.isConfigured("anthropic");
+const hasGemini    = providers.isConfigured("gemini");
+const hasMock      = providers.isConfigured("mock"); // MOCK_PROVIDER=1 (lib/mock.js)
 
 // ---- Health ----
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    expects: "POST /chat with JSON { message, specialty?, prefer? }",
-    hasOpenAI, hasAnthropic, hasGemini
+// ?deep=1 adds a live probe of every configured provider; 503 when none answers.
+app.get("/health", async (req, res) => {
+  const deep = ["1", "true"].includes(String(req.query.deep)) ? await health.deep() : null;
+  res.status(deep?.status === "down" ? 503 : 200).json({
+    status: deep ? deep.status : "ok",
+    expects: "POST /chat with JSON { message, conversationId?, specialty?, prefer? }",
+    also: "POST /translate with JSON { text, target?, preserveGlossary? }",
+    hasOpenAI, hasAnthropic, hasGemini, hasMock,
+    auth: apikeys.MODE,
+    breakers: failover.snapshot(providers.names()),
+    kb: { version: knowledge.version(), topics: knowledge.topics() },
+    phi: { rules: phi.version, reinsert: phi.REINSERT, redacted: phi.stats() },
+    ...(deep ? { deep } : {})
   });
 });
 
+// ---- Metrics (Prometheus text format) ----
+metrics.gauge("infohealth_circuit_open", "Provider circuit breaker state: 1 open or half-open, 0 closed.", ["provider"], () =>
+  Object.entries(failover.snapshot(providers.names())).map(([provider, b]) => ({ labels: { provider }, value: b.state === "closed" ? 0 : 1 }))
+);
+metrics.gauge("infohealth_cache_hit_ratio", "Response cache hits / lookups since boot.", [], () => {
+  const ratio = cache.hitRatio();
+  return ratio == null ? [] : [{ labels: {}, value: Math.round(ratio * 1e4) / 1e4 }];
+});
+
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    return errors.send(res, "metrics_token_required", "Metrics token required");
+  }
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
 // Make GET /chat self-explanatory
 app.get("/chat", (req, res) => {
-  res.status(405).json({
-    error: "Use POST /chat with JSON { message, specialty?, prefer? }",
+  errors.send(res, "method_not_allowed", "Use POST /chat with JSON { message, conversationId?, specialty?, prefer? }", {
     example: { message: "Neuropatía diabética: síntomas y manejo", prefer: { provider: "openai", lang: "es" } }
   });
 });
 
+// ---- Shared handler cores (same code as the Netlify/Firebase functions) ----
+app.all("/hello", toExpress(hello));
+app.all("/enhance", apikeys.guard("enhance"), toExpress(enhance));
+
 // Silence favicon noise
 app.get("/favicon.ico", (_req, res) => res.sendStatus(204));
 
 // ---- Core chat ----
-app.post("/chat", async (req, res) => {
+// Streaming: POST /chat?stream=1 or Accept: text/event-stream → SSE (see streamChat)
+// Body schema (lengths, provider/lang enums, specialty names) is declared in lib/validate.js.
+// prefer.readingLevel (grade 3-12, default READING_LEVEL) is asked for in the prompt,
+// checked on the answer and simplified once if missed; scores come back as `readability`.
+// format: "structured" adds `structured` sections (see lib/structured.js); those answers
+// are never streamed, so SSE requests get the JSON response.
+// The prompt template (and any experiment variant, keyed by X-Client-Id or the
+// conversation id) is reported as `promptVersion`.
+app.post("/chat", apikeys.guard("chat"), validate.body("chat"), async (req, res, next) => {
   try {
-    const { message, specialty = "", prefer = {} } = req.body || {};
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: 'Missing "message"' });
+    const { message, conversationId, specialty = "", format = "text", prefer = {} } = req.body;
+
+    const provider = (prefer.provider || "auto").toLowerCase();
+    if (provider !== "auto" && !providers.isConfigured(provider)) {
+      return errors.send(res, "provider_unavailable", `Provider "${provider}" is not configured on this server`, { provider });
     }
 
-    let provider = (prefer.provider || "auto").toLowerCase();
-    const lang   = prefer.lang || "en";
+    const { profile } = specialties.resolve(specialty);
+
+    // translate intent ("translate", "qué significa", "define") flips to the other
+    // language; otherwise answer in prefer.lang or the detected language
+    const route = language.route(message, prefer);
+    const lang  = route.lang;
+    const translating = route.mode === "translate";
+    // translations reproduce the user's text, so they always come back as plain text
+    const sectioned = format === "structured" && !translating;
+    const meta = { mode: route.mode, format: sectioned ? "structured" : "text", lang, detectedLang: route.detected.lang, confidence: route.detected.confidence, specialty: profile.id };
+    const readingLevel = readability.level(prefer.readingLevel) ?? readability.DEFAULT_LEVEL;
+
+    // unknown/expired ids start a fresh session; the client adopts the returned id
+    const conv = conversations.get(conversationId) || conversations.create();
 
-    if (provider === "auto") {
-      if (hasOpenAI) provider = "openai";
-      else if (hasAnthropic) provider = "anthropic";
-      else if (hasGemini) provider = "gemini";
-      else return res.json({ text: `Echo: ${message}`, provider: "render-test" });
+    // PHI is swapped for placeholders before anything is stored or sent out; the
+    // conversation's vault keeps the originals so replies can be re-personalized
+    const vault = conv.phi || (conv.phi = phi.vault());
+    const redaction = phi.redact(message, vault);
+    const outbound = redaction.text;
+    meta.phi = { redacted: redaction.count > 0, count: redaction.count, categories: redaction.categories };
+    logger.audit(res, { message: logger.content(outbound) });
+
+    // Red flags never reach a model: fixed, localized emergency/crisis reply
+    const flag = triage.screen(message, { extraRules: profile.redFlags });
+    if (flag) {
+      const text = triage.respond(flag, prefer.lang || flag.lang);
+      conversations.appendTurn(conv, outbound, text);
+      const payload = {
+        ...meta,
+        mode: "chat",
+        format: "text",
+        lang: prefer.lang || flag.lang,
+        provider: "triage",
+        triage: "emergency",
+        category: flag.category,
+        sources: [],
+        conversationId: conv.id,
+        turns: conv.messages.length / 2
+      };
+      if (!sse.wantsStream(req)) return res.json(audited(res, { text, ...payload }, text));
+      const stream = sse.open(res);
+      stream.send("delta", { text });
+      stream.send("done", audited(res, { ...payload, ms: 0 }, text));
+      return stream.end();
     }
 
-    let text;
-    if (provider === "openai")        text = await callOpenAI(message, lang, specialty);
-    else if (provider === "anthropic") text = await callAnthropic(message, lang, specialty);
-    else if (provider === "gemini")    text = await callGemini(message, lang, specialty);
-    else throw new Error(`Unknown provider: ${provider}`);
+    // active template for the route, or this caller's experiment variant (lib/prompts)
+    const prompt = prompts.pick(translating ? "translate" : "chat", prompts.subjectOf(req, conv.id));
+    meta.promptVersion = prompt.version;
+    res.locals.experiment = prompt.experiment?.id;
+    logger.audit(res, { promptVersion: prompt.version, experiment: prompt.experiment?.id });
+
+    // translations stand alone: no history, no KB grounding
+    const messages = translating ? [{ role: "user", content: outbound }] : conversations.buildMessages(conv, outbound);
+
+    // Ground the answer in the vetted knowledge base; a bare follow-up
+    // ("what about for kids?") falls back to searching with the previous question
+    let passages = [];
+    if (!translating) {
+      const scope = { lang, topics: profile.topics || undefined };
+      passages = knowledge.search(message, scope);
+      const lastQuestion = conv.messages.filter(m => m.role === "user").pop();
+      if (!passages.length && lastQuestion) passages = knowledge.search(`${lastQuestion.content} ${message}`, scope);
+    }
+    const sources = knowledge.sourcesFor(passages);
+    const system = withPhiNote(
+      translating ? translatorPrompt(prompt.template, lang) : systemPrompt(prompt.template, lang, profile, knowledge.promptContext(passages), readingLevel, sectioned),
+      vault
+    );
 
-    res.json({ text, provider });
+    // auto = configured providers, the specialty's preferred ones first; explicit = that one only
+    const order = provider === "auto" ? specialties.order(profile, providers.configured()) : [provider];
+
+    // every provider call for this request (answer + safety rewrite) is priced and rolled up
+    const meter = usage.meter({ route: "chat", client: res.locals.client?.keyId, specialty: profile.id });
+
+    // Translations reproduce the user's own words (often a prescription label), so only chat answers are checked.
+    // Chat answers are fitted to the reading level first, so the safety pass sees the final wording;
+    // `plain` is that fitted text before safety edits (what gets cached); a cache hit
+    // was fitted when it was stored, so it is only re-scored, never simplified again.
+    // Structured answers are parsed (repaired once if malformed), checked section by section
+    // and scored on their rendered text; they are not simplified, which would lose the sections.
+    const finish = async (text, { cached = false } = {}) => {
+      if (translating) return { text, plain: text, safety: UNCHECKED, readability: null };
+      if (sectioned) {
+        const built = await structured.build(text, { lang, repair: order.length ? rewriteWith(order, meter) : undefined });
+        const safe = structured.sanitize(built.doc, lang);
+        const rendered = structured.render(safe.doc, lang);
+        const { readability: fit } = await readability.fit(rendered, { lang, target: readingLevel });
+        return { text: rendered, plain: JSON.stringify(built.doc), safety: safe.safety, readability: fit, structured: { ...safe.doc, sources, repair: built.repair } };
+      }
+      const fitted = await readability.fit(text, { lang, target: readingLevel, rewrite: order.length && !cached ? rewriteWith(order, meter) : undefined });
+      const safe = await makeSafe(fitted.text, lang, order, meter);
+      return { ...safe, plain: fitted.text, readability: fitted.readability };
+    };
+
+    // Only a conversation's first question is cacheable: follow-ups depend on that
+    // conversation's history and must never be answered from (or shared into) the cache.
+    // The model text (after any reading-level simplification) is cached; the safety
+    // pass above still runs on every hit.
+    // Questions that carried PHI are never cached.
+    const cacheKey = order.length && !conv.messages.length && !redaction.count
+      ? cache.key("chat", { q: cache.question(message), mode: route.mode, lang, specialty: profile.id, provider, promptVersion: prompt.version, prompt: cache.promptHash(system) })
+      : null;
+    const cached = cacheKey ? await cache.get(cacheKey) : null;
+
+    if (sse.wantsStream(req) && !sectioned) {
+      return streamChat(req, res, { conv, message: outbound, messages, system, order, profile, sources, meta, finish, meter, cacheKey, cached });
+    }
+
+    if (!order.length) {
+      const { text, safety: check, readability: fit, structured: doc } = await finish(`Echo: ${outbound}`);
+      conversations.appendTurn(conv, outbound, text);
+      return res.json(audited(res, { text: phi.restore(text, vault), ...sections(doc, vault), provider: "render-test", ...meta, triage: "none", safety: check, readability: fit, sources, cache: "bypass", conversationId: conv.id, turns: conv.messages.length / 2 }, text));
+    }
+
+    if (cached) {
+      const { text, safety: check, readability: fit, structured: doc } = await finish(cached.text, { cached: true });
+      const spent = meter.total();
+      apikeys.charge(res.locals.client, spent.totalTokens);
+      conversations.appendTurn(conv, outbound, text);
+      return res.json(audited(res, {
+        text,
+        ...sections(doc, vault),
+        provider: cached.provider,
+        model: cached.model,
+        ...meta,
+        triage: "none",
+        safety: check,
+        readability: fit,
+        sources,
+        usage: spent,
+        cache: "hit",
+        conversationId: conv.id,
+        turns: conv.messages.length / 2
+      }, text));
+    }
+
+    const upstream = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) upstream.abort(); });
+
+    const { provider: used, result, attempts } = await failover.run(
+      order,
+      (name, { timeout, signal }) => providers.complete(name, {
+        messages,
+        system,
+        model: specialties.modelFor(profile, name),
+        schema: sectioned ? structured.SCHEMA : undefined,
+        timeout,
+        signal
+      }),
+      { signal: upstream.signal }
+    );
+
+    meter.add(used, result, { prompt: promptText(system, messages) });
+    const { text, plain, safety: check, readability: fit, structured: doc } = await finish(result.text);
+    if (cacheKey) await cache.set(cacheKey, { text: plain, provider: used, model: result.model });
+    const spent = meter.total();
+    apikeys.charge(res.locals.client, spent.totalTokens);
+    conversations.appendTurn(conv, outbound, text);
+    res.json(audited(res, {
+      text: phi.restore(text, vault),
+      ...sections(doc, vault),
+      provider: used,
+      model: result.model,
+      ...meta,
+      triage: "none",
+      safety: check,
+      readability: fit,
+      sources,
+      usage: spent,
+      cache: cacheKey ? "miss" : "bypass",
+      attempts,
+      conversationId: conv.id,
+      turns: conv.messages.length / 2
+    }, text));
   } catch (err) {
-    console.error("chat error:", err);
-    res.status(500).json({ error: "Upstream error", details: String(err?.message || err) });
-  }
-});
-
-// ---- Provider helpers (no SDKs; uses global fetch) ----
-async function callOpenAI(userMessage, lang, specialty) {
-  if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY missing");
-  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-  const sys = `You are a careful clinical assistant. Respond in ${lang}. If unsure, say so. Educational only, not medical advice. Specialty: ${specialty || "General"}.`;
-
-  const r = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.3,
-      messages: [
-        { role: "system", content: sys },
-        { role: "user", content: userMessage }
-      ]
-    })
+    logger.audit(res, { attempts: err.attempts });
+    if (res.headersSent || req.socket.destroyed) return;
+    logger.error("chat.error", { requestId: res.locals.requestId, error: err });
+    next(err);
+  }
+});
+
+// Providers are tried in order under the same breakers as the JSON path.
+// Retryable failures before the first delta are retried with backoff; any
+// other failure emits `error` with `retrying: true` (when a provider is left)
+// so the client can discard the partial answer and render the next one. A
+// stream that ends without an answer always ends with `retrying: false`.
+// Deltas go out a sentence at a time, and only once the safety filter has passed
+// that sentence: from the first flagged one on nothing more is streamed, and the
+// safe answer replaces the deltas via `done.text`. Translations are not screened.
+async function streamChat(req, res, { conv, message, messages, system, order, profile, sources, meta, finish, meter, cacheKey, cached }) {
+  const t0 = Date.now();
+  const stream = sse.open(res);
+  const upstream = new AbortController();
+  res.on("close", () => upstream.abort());
+  const vault = conv.phi;
+
+  if (!order.length) {
+    const echo = `Echo: ${message}`;
+    const { text, safety: check, readability: fit } = await finish(echo);
+    const shown = phi.restore(text, vault);
+    stream.send("delta", { text: shown });
+    conversations.appendTurn(conv, message, text);
+    stream.send("done", audited(res, {
+      provider: "render-test",
+      ...meta,
+      triage: "none",
+      safety: check,
+      readability: fit,
+      sources,
+      cache: "bypass",
+      ms: Date.now() - t0,
+      conversationId: conv.id,
+      turns: conv.messages.length / 2
+    }, text, shown));
+    return stream.end();
+  }
+
+  // a hit is re-checked first and replayed as one delta with the fresh safety verdict
+  if (cached) {
+    const safe = await finish(cached.text.trim(), { cached: true });
+    stream.send("delta", { text: safe.text });
+    conversations.appendTurn(conv, message, safe.text);
+    stream.send("done", audited(res, {
+      provider: cached.provider,
+      model: cached.model,
+      ...meta,
+      triage: "none",
+      safety: safe.safety,
+      readability: safe.readability,
+      sources,
+      usage: meter.total(),
+      cache: "hit",
+      ms: Date.now() - t0,
+      conversationId: conv.id,
+      turns: conv.messages.length / 2
+    }, safe.text, safe.text));
+    return stream.end();
+  }
+
+  const attempts = [];
+  let retrying = false;
+  const screened = meta.mode !== "translate";
+
+  for (let i = 0; i < order.length; i++) {
+    const p = order[i];
+    const next = order[i + 1] || null;
+    if (!failover.allow(p)) {
+      attempts.push({ provider: p, ok: false, skipped: "circuit-open" });
+      metrics.failovers.inc({ from: p, reason: "circuit-open" });
+      continue;
+    }
+    const started = Date.now();
+    let tries = 0;
+    for (;;) {
+      tries++;
+      let text = "";
+      const restorer = phi.streamRestorer(vault);
+      // `text` up to `sent` has passed the safety filter and gone out; `held` once a sentence was flagged
+      let sent = 0;
+      let held = false;
+      const release = end => {
+        const segment = text.slice(sent, end);
+        if (!segment) return;
+        if (screened && safety.check(segment).flagged) {
+          held = true;
+          return;
+        }
+        sent = end;
+        const shown = restorer.push(segment);
+        if (shown) stream.send("delta", { text: shown });
+      };
+      try {
+        let final = {};
+        const opts = { messages, system, model: specialties.modelFor(profile, p), timeout: failover.timeoutFor(p), signal: upstream.signal };
+        for await (const chunk of providers.stream(p, opts)) {
+          if (stream.closed) return failover.release(p);
+          if (chunk.done) { final = chunk; break; }
+          text += chunk.text;
+          if (!held) release(sentenceEnd(text, sent));
+        }
+        if (!held) release(text.length);
+        if (!held) {
+          const tail = restorer.flush();
+          if (tail) stream.send("delta", { text: tail });
+        }
+        failover.recordSuccess(p);
+        attempts.push({ provider: p, ok: true, tries, ms: Date.now() - started });
+        meter.add(p, { ...final, text }, { prompt: promptText(system, messages) });
+        // what was streamed is replaced wholesale via `done.text` when simplified or flagged
+        const safe = await finish(text.trim());
+        if (cacheKey) await cache.set(cacheKey, { text: safe.plain, provider: p, model: final.model });
+        const spent = meter.total();
+        apikeys.charge(res.locals.client, spent.totalTokens);
+        conversations.appendTurn(conv, message, safe.text);
+        const shown = phi.restore(safe.text, vault);
+        stream.send("done", audited(res, {
+          provider: p,
+          model: final.model,
+          ...meta,
+          triage: "none",
+          safety: safe.safety,
+          readability: safe.readability,
+          ...(held || safe.text !== text.trim() ? { text: shown } : {}),
+          sources,
+          usage: spent,
+          cache: cacheKey ? "miss" : "bypass",
+          ms: Date.now() - t0,
+          attempts,
+          conversationId: conv.id,
+          turns: conv.messages.length / 2
+        }, safe.text, shown));
+        return stream.end();
+      } catch (err) {
+        if (stream.closed) return failover.release(p);
+        const retryable = err?.retryable !== false;
+        if (retryable && !text && tries <= failover.RETRIES) {
+          metrics.providerRetries.inc({ provider: p });
+          await new Promise(r => setTimeout(r, failover.backoff(tries - 1)));
+          continue;
+        }
+        if (retryable) failover.recordFailure(p, err);
+        else failover.release(p);
+        logger.warn("chat.stream.error", { requestId: res.locals.requestId, provider: p, error: err });
+        const error = String(err?.message || err).slice(0, 300);
+        attempts.push({ provider: p, ok: false, tries, ms: Date.now() - started, status: err?.status || null, error });
+        metrics.failovers.inc({ from: p, reason: "error" });
+        retrying = !!next;
+        stream.send("error", audited(res, { code: "upstream_error", provider: p, message: error, userMessage: i18n.t("error.upstream_error", meta.lang), retrying, next, attempts }));
+        break;
+      }
+    }
+  }
+  if (attempts.every(a => a.skipped)) {
+    stream.send("error", audited(res, { code: "provider_unavailable", message: "No provider available", userMessage: i18n.t("error.provider_unavailable", meta.lang), retrying: false, next: null, attempts }));
+  } else if (retrying) {
+    // the provider announced as next was skipped (circuit open), so nothing else will answer
+    const last = attempts.filter(a => a.error).pop();
+    stream.send("error", audited(res, { code: "upstream_error", provider: last.provider, message: last.error, userMessage: i18n.t("error.upstream_error", meta.lang), retrying: false, next: null, attempts }));
+  }
+  stream.end();
+}
+
+// End of the last complete sentence in `text` after `from` (lib/text's sentence
+// breaks: terminal punctuation followed by whitespace, or a newline), else `from`.
+function sentenceEnd(text, from) {
+  const re = /[.!?]+\s+|\n+/g;
+  re.lastIndex = from;
+  let end = from;
+  for (let m; (m = re.exec(text));) end = m.index + m[0].length;
+  return end;
+}
+
+const UNCHECKED = { flagged: false, reasons: [], action: "none" };
+
+// Copies a /chat outcome into the request's audit record (lib/logger) and returns
+// it unchanged, so JSON and SSE responses log the same fields. `reply` is the
+// de-identified text, logged only as LOG_CONTENT allows. Answers (not error events)
+// also get a `responseId` and are remembered under it so POST /feedback can rate them.
+// The id is the server's own: X-Request-Id comes from the caller and may be reused.
+// `shown` is the answer as the client displays it (streamed `done` events may not
+// carry it); a translation's is remembered as a hash for POST /export.
+function audited(res, payload, reply, shown = payload.text) {
+  const answer = !payload.code && payload.provider;
+  if (answer) payload = { ...payload, responseId: crypto.randomUUID() };
+  logger.audit(res, {
+    mode: payload.mode,
+    format: payload.format,
+    repair: payload.structured?.repair,
+    lang: payload.lang,
+    specialty: payload.specialty,
+    provider: payload.provider,
+    model: payload.model,
+    attempted: payload.attempts?.map(a => a.provider),
+    attempts: payload.attempts,
+    usage: payload.usage,
+    triage: payload.triage,
+    category: payload.category,
+    safety: payload.safety && { flagged: payload.safety.flagged, reasons: payload.safety.reasons, action: payload.safety.action },
+    readability: payload.readability && { grade: payload.readability.grade, target: payload.readability.target, met: payload.readability.met, action: payload.readability.action },
+    phi: payload.phi?.categories,
+    cache: payload.cache,
+    responseId: payload.responseId,
+    reply: logger.content(reply)
   });
-  if (!r.ok) throw new Error(`OpenAI ${r.status}: ${await r.text()}`);
-  const data = await r.json();
-  return (data.choices?.[0]?.message?.content || "").trim();
+  if (answer) {
+    feedback.remember(payload.responseId, {
+      requestId: res.locals.requestId,
+      route: "chat",
+      mode: payload.mode,
+      provider: payload.provider,
+      model: payload.model,
+      promptVersion: payload.promptVersion,
+      experiment: res.locals.experiment,
+      lang: payload.lang,
+      specialty: payload.specialty,
+      format: payload.format,
+      triage: payload.triage,
+      safetyFlagged: payload.safety?.flagged,
+      grade: payload.readability?.grade,
+      cache: payload.cache,
+      answerHash: payload.mode === "translate" ? feedback.digest(shown) : undefined
+    });
+  }
+  return payload;
+}
+
+// `structured` response field for format: "structured" answers, PHI restored.
+function sections(doc, vault) {
+  return doc ? { structured: structured.map(doc, s => phi.restore(s, vault)) } : {};
+}
+
+// Tells the model what the PHI placeholders are, once the conversation has any.
+function withPhiNote(system, vault) {
+  const note = phi.promptNote(vault);
+  return note ? `${system}\n\n${note}` : system;
+}
+
+// Prompt text for usage estimates when a provider reports no token counts.
+function promptText(system, messages) {
+  return system + messages.map(m => m.content).join("\n");
 }
 
-async function callAnthropic(userMessage, lang, specialty) {
-  if (!process.env.ANTHROPIC_API_KEY) throw new Error("ANTHROPIC_API_KEY missing");
-  const model = process.env.ANTHROPIC_MODEL || "claude-3-haiku-20240307";
-  const sys = `You are a careful clinical assistant. Respond in ${lang}. If unsure, say so. Educational only, not medical advice. Specialty: ${specialty || "General"}.`;
-
-  const r = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": process.env.ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01",
-      "content-type": "application/json"
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: 800,
-      temperature: 0.3,
-      system: sys,
-      messages: [{ role: "user", content: userMessage }]
-    })
+// Second model call (safety rewrite, reading-level simplification) over the same
+// provider order, metered with the request.
+function rewriteWith(order, meter) {
+  return request => failover.run(
+    order,
+    (name, { timeout, signal }) => providers.complete(name, { ...request, timeout, signal })
+  ).then(r => {
+    meter?.add(r.provider, r.result, { prompt: promptText(request.system, request.messages) });
+    return r.result.text;
   });
-  if (!r.ok) throw new Error(`Anthropic ${r.status}: ${await r.text()}`);
-  const data = await r.json();
-  const parts = data.content?.map(p => p.text).join("\n") || "";
-  return parts.trim();
 }
 
-async function callGemini(userMessage, lang, specialty) {
-  if (!process.env.GEMINI_API_KEY) throw new Error("GEMINI_API_KEY missing");
-  const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-  const sys = `You are a careful clinical assistant. Respond in ${lang}. If unsure, say so. Educational only, not medical advice. Specialty: ${specialty || "General"}.`;
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
-  const r = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      contents: [{ role: "user", parts: [{ text: `${sys}\n\nUser: ${userMessage}` }] }],
-      generationConfig: { temperature: 0.3, maxOutputTokens: 800 }
-    })
+// Post-generation safety pass; rewrite mode re-asks the same provider order.
+function makeSafe(text, lang, order, meter) {
+  return safety.apply(text, { lang, rewrite: rewriteWith(order, meter) });
+}
+
+// ---- Translation ----
+// POST /translate { text, target?, preserveGlossary = true, prefer? }
+// target defaults to the other language; with preserveGlossary, drug names,
+// lab names and measurements are locked before translation (see lib/language).
+// The translator template in use comes back as `promptVersion`.
+app.post("/translate", apikeys.guard("translate"), validate.body("translate"), async (req, res, next) => {
+  try {
+    const { text, target, preserveGlossary = true, prefer = {} } = req.body;
+
+    const detected = language.detect(text);
+    const to = target || (detected.lang === "es" ? "en" : "es");
+    // PHI placeholders go in first so glossary locking never sees a name or number
+    const vault = phi.vault();
+    const redaction = phi.redact(text, vault);
+    const locked = preserveGlossary ? language.protect(redaction.text) : { text: redaction.text, tokens: [] };
+    const source = { lang: detected.lang, confidence: detected.confidence };
+    const phiReport = { redacted: redaction.count > 0, count: redaction.count, categories: redaction.categories };
+    logger.audit(res, { lang: source.lang, target: to, phi: redaction.categories, message: logger.content(redaction.text) });
+
+    const provider = (prefer.provider || "auto").toLowerCase();
+    if (provider !== "auto" && !providers.isConfigured(provider)) {
+      return errors.send(res, "provider_unavailable", `Provider "${provider}" is not configured on this server`, { provider });
+    }
+    const order = provider === "auto" ? providers.configured() : [provider];
+    if (!order.length) {
+      return res.json({ text, provider: "render-test", source, target: to, glossary: { preserved: locked.tokens.length, missing: [] }, phi: phiReport });
+    }
+
+    const upstream = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) upstream.abort(); });
+
+    const prompt = prompts.pick("translate", prompts.subjectOf(req));
+    logger.audit(res, { promptVersion: prompt.version, experiment: prompt.experiment?.id });
+    const system = withPhiNote(translatorPrompt(prompt.template, to, locked.tokens.length > 0), vault);
+    const meter = usage.meter({ route: "translate", client: res.locals.client?.keyId });
+    const cacheKey = redaction.count ? null : cache.key("translate", { text: locked.text, target: to, provider, promptVersion: prompt.version, prompt: cache.promptHash(system) });
+    const cached = cacheKey ? await cache.get(cacheKey) : null;
+    let out = cached;
+    let attempts = [];
+    if (!out) {
+      const run = await failover.run(
+        order,
+        (name, { timeout, signal }) => providers.complete(name, {
+          messages: [{ role: "user", content: locked.text }],
+          system,
+          temperature: 0,
+          timeout,
+          signal
+        }),
+        { signal: upstream.signal }
+      );
+      meter.add(run.provider, run.result, { prompt: `${system}\n${locked.text}` });
+      out = { text: run.result.text, provider: run.provider, model: run.result.model };
+      attempts = run.attempts;
+      if (cacheKey) await cache.set(cacheKey, out);
+    }
+
+    const spent = meter.total();
+    apikeys.charge(res.locals.client, spent.totalTokens);
+    const restored = language.restore(out.text.trim(), locked.tokens);
+    logger.audit(res, {
+      provider: out.provider,
+      model: out.model,
+      attempted: attempts.map(a => a.provider),
+      attempts,
+      usage: spent,
+      cache: cached ? "hit" : cacheKey ? "miss" : "bypass",
+      reply: logger.content(restored.text)
+    });
+    res.json({
+      text: phi.restore(restored.text, vault),
+      provider: out.provider,
+      model: out.model,
+      source,
+      target: to,
+      glossary: { preserved: restored.preserved, missing: restored.missing },
+      phi: phiReport,
+      promptVersion: prompt.version,
+      usage: spent,
+      cache: cached ? "hit" : cacheKey ? "miss" : "bypass",
+      attempts
+    });
+  } catch (err) {
+    logger.audit(res, { attempts: err.attempts });
+    if (res.headersSent || req.socket.destroyed) return;
+    logger.error("translate.error", { requestId: res.locals.requestId, error: err });
+    next(err);
+  }
+});
+
+// ---- Conversations ----
+app.get("/conversations/:id", apikeys.guard("chat"), (req, res) => {
+  const conv = conversations.get(req.params.id);
+  if (!conv) return errors.send(res, "not_found", "Conversation not found");
+  // history is stored de-identified; the caller gets their own details back
+  const out = conversations.toJSON(conv);
+  for (const m of out.messages) m.content = phi.restore(m.content, conv.phi);
+  res.json(out);
+});
+
+app.delete("/conversations/:id", apikeys.guard("chat"), (req, res) => {
+  if (!conversations.remove(req.params.id)) {
+    return errors.send(res, "not_found", "Conversation not found");
+  }
+  res.status(204).end();
+});
+
+// ---- Feedback ----
+// POST /feedback { responseId, rating: "up"|"down", reason?, comment? } rates a /chat answer
+// by the responseId it came back with; stored with that answer's provider, model, prompt
+// version and language (lib/feedback). A second rating replaces the first; ids that are
+// unknown or older than FEEDBACK_WINDOW_MIN get 404.
+app.post("/feedback", apikeys.guard("chat"), validate.body("feedback"), (req, res) => {
+  const out = feedback.record(req.body, { client: res.locals.client?.keyId || null });
+  if (!out) return errors.send(res, "not_found", "No recent answer with that responseId");
+  const { id, responseId, rating, reason } = out.record;
+  logger.audit(res, { responseId, rating, reason, promptVersion: out.record.promptVersion });
+  res.status(out.replaced ? 200 : 201).json({ id, responseId, rating, reason, replaced: out.replaced });
+});
+
+// ---- Handouts ----
+// POST /export { answer, question? | topic?, structured?, sources?, lang?, source: "chat"|"enhance",
+// format: "html"|"pdf", responseId? } → a branded handout to print or save, built locally
+// (lib/handout). The answer passes the safety filter again and only the knowledge base's
+// own sources are cited. Translations are not re-checked, like in /chat; an answer counts
+// as one only when the server remembers its responseId as a translation and the text is
+// the one that was sent (same hash), never on the body's word alone.
+// HTML comes back inline (for printing), PDF as a download.
+app.post("/export", apikeys.guard("chat"), validate.body("export"), (req, res) => {
+  const { format = "html", responseId, answer } = req.body;
+  const remembered = responseId ? feedback.answer(responseId) : null;
+  const translation = remembered?.mode === "translate" && !req.body.structured && remembered.answerHash === feedback.digest(answer);
+  const { doc, safety: check } = handout.build({ ...req.body, lang: req.body.lang || i18n.langOf(req) }, { translation });
+  const name = handout.filename(doc, format);
+  // metadata only; the handout's content is the caller's and is not logged
+  logger.audit(res, { source: doc.source, format, lang: doc.lang, sources: doc.sources.length, translation, safetyFlagged: check.flagged, responseId: doc.reference });
+
+  if (format === "pdf") {
+    res.set({ "Content-Type": "application/pdf", "Content-Disposition": `attachment; filename="${name}"` });
+    return res.send(handout.pdf(doc));
+  }
+  res.set({
+    "Content-Type": "text/html; charset=utf-8",
+    "Content-Disposition": `inline; filename="${name}"`,
+    "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'"
+  });
+  res.send(handout.html(doc));
+});
+
+// ---- Admin: API keys (Authorization: Bearer <ADMIN_TOKEN>) ----
+// The plaintext key is only returned by POST; store it in the client's secrets right away.
+app.post("/admin/keys", apikeys.admin, (req, res) => {
+  try {
+    res.status(201).json(apikeys.issue(req.body || {}));
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+    errors.send(res, "validation_failed", err.message);
+  }
+});
+
+app.get("/admin/keys", apikeys.admin, (req, res) => {
+  res.json({ keys: apikeys.list() });
+});
+
+app.get("/admin/keys/:id", apikeys.admin, (req, res) => {
+  const key = apikeys.get(req.params.id);
+  if (!key) return errors.send(res, "not_found", "Key not found");
+  res.json(key);
+});
+
+app.delete("/admin/keys/:id", apikeys.admin, (req, res) => {
+  const key = apikeys.revoke(req.params.id);
+  if (!key) return errors.send(res, "not_found", "Key not found");
+  res.json(key);
+});
+
+// ---- Admin: usage and cost ----
+// GET /admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=provider|model|client|specialty|route|day
+app.get("/admin/usage", apikeys.admin, (req, res) => {
+  try {
+    const report = usage.query(req.query);
+    if (report.groupBy === "client") {
+      for (const g of report.groups) g.name = apikeys.get(g.key)?.name || g.key;
+    }
+    res.json({ ...report, prices: usage.pricesVersion });
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+    errors.send(res, "validation_failed", err.message);
+  }
+});
+
+// ---- Admin: feedback ----
+// GET /admin/feedback?from=YYYY-MM-DD&to=YYYY-MM-DD&rating=up|down&format=json|csv
+// (default the last 30 days as JSON; CSV downloads one row per rating)
+app.get("/admin/feedback", apikeys.admin, (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "csv"].includes(format)) {
+      return errors.send(res, "validation_failed", '"format" must be json or csv', { field: "format" });
+    }
+    const report = feedback.query(req.query);
+    if (format === "json") return res.json(report);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="feedback-${report.from}-${report.to}.csv"`);
+    res.send(feedback.toCSV(report.records));
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+    errors.send(res, "validation_failed", err.message);
+  }
+});
+
+// ---- Admin: response cache ----
+app.get("/admin/cache", apikeys.admin, async (req, res) => {
+  res.json(await cache.info());
+});
+
+// DELETE /admin/cache?ns=chat|translate|enhance (all namespaces when omitted)
+app.delete("/admin/cache", apikeys.admin, async (req, res) => {
+  const ns = req.query.ns;
+  if (ns != null && !cache.NAMESPACES.includes(ns)) {
+    return errors.send(res, "validation_failed", `"ns" must be one of ${cache.NAMESPACES.join(", ")}`, { field: "ns" });
+  }
+  res.json({ purged: await cache.purge(ns), ns: ns || "all" });
+});
+
+// ---- Admin: prompt templates ----
+// GET lists the registry, experiments and template metadata; reload re-reads
+// data/prompts.json and data/prompts/ (a broken edit is rejected and the current set kept).
+app.get("/admin/prompts", apikeys.admin, (req, res) => {
+  res.json(prompts.info());
+});
+
+app.post("/admin/prompts/reload", apikeys.admin, (req, res) => {
+  try {
+    res.json(prompts.reload());
+  } catch (err) {
+    logger.warn("prompts.reload.error", { requestId: res.locals.requestId, error: err });
+    errors.send(res, "validation_failed", err.message);
+  }
+});
+
+// ---- Specialties ----
+app.get("/specialties", (req, res) => {
+  res.json({
+    version: specialties.version,
+    default: specialties.default,
+    strict: specialties.strict,
+    specialties: specialties.list()
   });
-  if (!r.ok) throw new Error(`Gemini ${r.status}: ${await r.text()}`);
-  const data = await r.json();
-  const text = data.candidates?.[0]?.content?.parts?.map(p => p.text).join("\n") || "";
-  return text.trim();
+});
+
+// ---- UI strings ----
+// GET /i18n lists the catalogs; GET /i18n/:lang serves one (English fills missing keys).
+// Public like /specialties: the frontend loads it before any API key is in play.
+app.get("/i18n", (req, res) => {
+  res.json({ default: i18n.REFERENCE, languages: i18n.list() });
+});
+
+app.get("/i18n/:lang", (req, res) => {
+  const catalog = i18n.catalog(String(req.params.lang).toLowerCase());
+  if (!catalog) {
+    return errors.send(res, "unsupported_language", `No catalog for "${req.params.lang}"`, { supported: i18n.LANGS });
+  }
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(catalog);
+});
+
+// ---- Prompt ----
+// Wording lives in the chat/translate templates (data/prompts); these fill in the variables.
+function systemPrompt(template, lang, profile, context = "", readingLevel = null, sectioned = false) {
+  return prompts.render(template, "system", {
+    ...specialties.promptVars(profile, lang),
+    readingLevel: readability.directive(readingLevel, lang),
+    context,
+    format: sectioned ? structured.instruction(lang) : ""
+  }, lang);
+}
+
+function translatorPrompt(template, target, preserve = false) {
+  return prompts.render(template, "system", { target: language.NAMES[target], preserve });
 }
 
+// ---- Errors ----
+// Unmatched routes, malformed JSON, CORS rejections and anything a route passes to
+// next(err) leave in the lib/errors envelope: { error: { code, message, requestId } }.
+app.use((req, res) => errors.send(res, "not_found", `No route for ${req.method} ${req.path}`));
+app.use(errors.middleware);
+
 // ---- Boot ----
-app.listen(PORT, () => {
-  console.log("Boot: providers", { hasOpenAI, hasAnthropic, hasGemini });
-  console.log(`listening on ${PORT}`);
+// PORT=0 picks a free port (the integration tests read it from the boot record)
+const server = app.listen(PORT, () => {
+  logger.info("boot", { port: server.address().port, hasOpenAI, hasAnthropic, hasGemini, hasMock, auth: apikeys.MODE, logContent: logger.CONTENT });
 });
+
+// Render sends SIGTERM on every deploy and restart. Usage, ratings and key counters are
+// written on short timers, so finish in-flight requests and write them before exiting.
+function shutdown(signal) {
+  logger.info("shutdown", { signal });
+  let done = false;
+  const exit = () => {
+    if (done) return;
+    done = true;
+    usage.flush();
+    feedback.flush();
+    apikeys.flush();
+    process.exit(0);
+  };
+  server.close(exit);
+  server.closeIdleConnections?.();
+  // open streams must not hold the exit past Render's grace period
+  setTimeout(exit, 5000).unref();
+}
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
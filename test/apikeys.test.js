@@ -0,0 +1,141 @@
+// Client API keys, per-key/per-IP rate limits and daily quotas (lib/apikeys.js) and the
+// /admin/keys routes.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const standins = require("./helpers/standins");
+const { startServer } = require("./helpers/server");
+
+const ADMIN = { Authorization: "Bearer admin-secret" };
+const ORIGIN = "https://clinic.example";
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer({ ...vendors.env, API_AUTH: "required", ADMIN_TOKEN: "admin-secret", RATE_LIMIT_IP_PER_MIN: "1000" });
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+beforeEach(() => vendors.reset());
+
+async function issue(body, on = server) {
+  const r = await on.request("/admin/keys", { body: { name: "test", ...body }, headers: ADMIN });
+  assert.equal(r.status, 201, r.text);
+  return r.json;
+}
+
+// GET /conversations/:id passes the "chat" guard without calling a provider: 404 means allowed.
+const ping = (headers = {}, on = server) => on.request("/conversations/none", { method: "GET", headers });
+
+test("admin key routes need the admin token", async () => {
+  assert.equal((await server.request("/admin/keys", { method: "GET" })).status, 401);
+  assert.equal((await server.request("/admin/keys", { method: "GET", headers: { Authorization: "Bearer nope" } })).status, 401);
+  assert.equal((await server.request("/admin/keys", { body: { name: "x" } })).status, 401);
+});
+
+test("issues, lists, shows and revokes keys", async () => {
+  const { key, record } = await issue({ name: "partner" });
+  assert.match(key, /^ih_sk_/);
+  assert.equal(record.type, "secret");
+  assert.equal(record.hash, undefined);
+
+  const list = await server.request("/admin/keys", { method: "GET", headers: ADMIN });
+  assert.ok(list.json.keys.some(k => k.id === record.id && k.hash === undefined));
+  const one = await server.request(`/admin/keys/${record.id}`, { method: "GET", headers: ADMIN });
+  assert.equal(one.json.name, "partner");
+  assert.equal((await server.request("/admin/keys/unknown", { method: "GET", headers: ADMIN })).status, 404);
+
+  assert.equal((await ping({ "X-API-Key": key })).status, 404);
+  const revoked = await server.request(`/admin/keys/${record.id}`, { method: "DELETE", headers: ADMIN });
+  assert.ok(revoked.json.revokedAt);
+  const r = await ping({ Authorization: `Bearer ${key}` });
+  assert.equal(r.status, 401);
+  assert.equal(r.json.error.code, "invalid_api_key");
+});
+
+test("rejects invalid key requests", async () => {
+  const bad = await server.request("/admin/keys", { body: { name: "web", type: "public" }, headers: ADMIN });
+  assert.equal(bad.status, 400);
+  assert.match(bad.json.error.message, /origin/);
+  assert.equal((await server.request("/admin/keys", { body: { name: "x", dailyTokens: -1 }, headers: ADMIN })).status, 400);
+});
+
+test("API_AUTH=required rejects keyless and unknown keys", async () => {
+  const none = await ping();
+  assert.equal(none.status, 401);
+  assert.equal(none.json.error.code, "api_key_required");
+  assert.equal((await ping({ "X-API-Key": "ih_sk_madeup" })).json.error.code, "invalid_api_key");
+});
+
+test("public keys work only from their origins and scopes", async () => {
+  const { key } = await issue({ type: "public", origins: [ORIGIN] });
+  assert.equal((await ping({ "X-API-Key": key, Origin: ORIGIN })).status, 404);
+
+  const elsewhere = await ping({ "X-API-Key": key, Origin: "https://evil.example" });
+  assert.equal(elsewhere.status, 403);
+  assert.equal(elsewhere.json.error.code, "forbidden_origin");
+  assert.equal((await ping({ "X-API-Key": key })).status, 403);
+
+  const scope = await server.request("/enhance", { body: { base: "x", topic: "asthma" }, headers: { "X-API-Key": key, Origin: ORIGIN } });
+  assert.equal(scope.status, 403);
+  assert.equal(scope.json.error.code, "forbidden_scope");
+});
+
+test("holds a key to its rate limit with Retry-After", async () => {
+  const { key } = await issue({ rateLimit: 2 });
+  assert.equal((await ping({ "X-API-Key": key })).status, 404);
+  assert.equal((await ping({ "X-API-Key": key })).status, 404);
+  const r = await ping({ "X-API-Key": key });
+  assert.equal(r.status, 429);
+  assert.equal(r.json.error.code, "rate_limited");
+  assert.ok(Number(r.headers.get("retry-after")) >= 1);
+});
+
+test("stops a key at its daily token quota until midnight UTC", async () => {
+  const { key, record } = await issue({ dailyTokens: 1 });
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const first = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-API-Key": key } });
+  assert.equal(first.status, 200);
+
+  const r = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-API-Key": key } });
+  assert.equal(r.status, 429);
+  assert.equal(r.json.error.code, "quota_exceeded");
+  const wait = Number(r.headers.get("retry-after"));
+  assert.ok(wait > 0 && wait <= 86400);
+  const shown = await server.request(`/admin/keys/${record.id}`, { method: "GET", headers: ADMIN });
+  assert.ok(shown.json.usage.tokens >= 1);
+});
+
+test("dailyTokens: 0 means no quota", async () => {
+  const { key } = await issue({ dailyTokens: 0 });
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  for (let i = 0; i < 2; i++) {
+    const r = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-API-Key": key } });
+    assert.equal(r.status, 200);
+  }
+});
+
+test("the per-IP limit applies to keyless callers and public keys, not secret keys", async () => {
+  const limited = await startServer({ ...vendors.env, ADMIN_TOKEN: "admin-secret", RATE_LIMIT_IP_PER_MIN: "3" });
+  try {
+    const { key } = await issue({ rateLimit: 10 }, limited);
+    for (let i = 0; i < 6; i++) assert.equal((await ping({ "X-API-Key": key }, limited)).status, 404);
+
+    for (let i = 0; i < 3; i++) assert.equal((await ping({}, limited)).status, 404);
+    const r = await ping({}, limited);
+    assert.equal(r.status, 429);
+    assert.ok(r.headers.get("retry-after"));
+
+    const { key: pub } = await issue({ type: "public", origins: [ORIGIN] }, limited);
+    assert.equal((await ping({ "X-API-Key": pub, Origin: ORIGIN }, limited)).status, 429);
+    // the secret key still gets through from the same IP
+    assert.equal((await ping({ "X-API-Key": key }, limited)).status, 404);
+  } finally {
+    await limited.stop();
+  }
+});
@@ -0,0 +1,166 @@
+// Response cache (lib/cache.js): the memory and file backends, and how /chat uses it.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cache = require("../lib/cache");
+const standins = require("./helpers/standins");
+const { startServer, events } = require("./helpers/server");
+
+const ADMIN = { Authorization: "Bearer admin-secret" };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let vendors, server, dir;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer({ ...vendors.env, CACHE_BACKEND: "memory", ADMIN_TOKEN: "admin-secret" });
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "infohealth-cache-"));
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  vendors.reset();
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  await server.request("/admin/cache", { method: "DELETE", headers: ADMIN });
+});
+
+const ask = body => server.request("/chat", { body });
+
+// ---- Backends ----
+for (const [name, make] of [["memory", () => cache.memoryStore(10)], ["file", () => cache.fileStore(fs.mkdtempSync(path.join(dir, "store-")))]]) {
+  test(`${name} store: get, expiry and purge by namespace`, async () => {
+    const store = make();
+    await store.set("chat:a", { text: "A" }, 60000);
+    await store.set("translate:b", { text: "B" }, 60000);
+    assert.deepEqual(await store.get("chat:a"), { text: "A" });
+    assert.equal(await store.get("chat:missing"), null);
+    assert.equal(await store.size(), 2);
+
+    await store.set("chat:c", { text: "C" }, 20);
+    await sleep(40);
+    assert.equal(await store.get("chat:c"), null);
+
+    assert.equal(await store.purge("chat"), 1);
+    assert.equal(await store.get("chat:a"), null);
+    assert.deepEqual(await store.get("translate:b"), { text: "B" });
+    assert.equal(await store.purge(), 1);
+    assert.equal(await store.size(), 0);
+  });
+}
+
+test("memory store evicts the least recently used entry", async () => {
+  const store = cache.memoryStore(2);
+  await store.set("chat:a", 1, 60000);
+  await store.set("chat:b", 2, 60000);
+  await store.get("chat:a");
+  await store.set("chat:c", 3, 60000);
+  assert.equal(await store.get("chat:b"), null);
+  assert.equal(await store.get("chat:a"), 1);
+});
+
+test("keys ignore case, accents and punctuation in the question", () => {
+  const k = q => cache.key("chat", { q: cache.question(q), lang: "es" });
+  assert.equal(k("¿Qué es el ASMA?"), k("que es el asma"));
+  assert.notEqual(k("que es el asma"), cache.key("chat", { q: cache.question("que es el asma"), lang: "en" }));
+});
+
+// ---- /chat ----
+test("answers a repeated first question from the cache", async () => {
+  const first = await ask({ message: "What is asthma?" });
+  assert.equal(first.json.cache, "miss");
+  const again = await ask({ message: "what is ASTHMA" });
+  assert.equal(again.json.cache, "hit");
+  assert.equal(again.json.text, first.json.text);
+  assert.equal(again.json.provider, "openai");
+  assert.equal(vendors.calls.openai.length, 1);
+});
+
+test("streams cache hits", async () => {
+  await ask({ message: "What is asthma?" });
+  const r = await server.request("/chat?stream=1", { body: { message: "What is asthma?" } });
+  const done = events(r.text).find(e => e.event === "done");
+  assert.equal(done.data.cache, "hit");
+  assert.equal(vendors.calls.openai.length, 1);
+});
+
+test("follow-ups in a conversation bypass the cache", async () => {
+  const first = await ask({ message: "What is asthma?" });
+  await ask({ message: "What is asthma?" });
+  const follow = await ask({ message: "What is asthma?", conversationId: first.json.conversationId });
+  assert.equal(follow.json.cache, "bypass");
+  assert.equal(vendors.calls.openai.length, 2);
+});
+
+test("questions carrying PHI are never cached", async () => {
+  const message = "My email is ana.lopez@example.com, what is asthma?";
+  assert.equal((await ask({ message })).json.cache, "bypass");
+  assert.equal((await ask({ message })).json.cache, "bypass");
+  assert.equal(vendors.calls.openai.length, 2);
+});
+
+test("cache hits are not simplified again", async () => {
+  const hard = "Hypertension, commonly characterized as persistently elevated arterial blood pressure, constitutes a significant cardiovascular risk factor necessitating comprehensive interventions.";
+  vendors.script("openai", () => ({ text: hard }));
+  const body = { message: "What is hypertension?", prefer: { readingLevel: 5 } };
+  const first = await ask(body);
+  assert.equal(first.json.readability.met, false);
+  assert.equal(vendors.calls.openai.length, 2); // the answer and one simplification attempt
+
+  vendors.reset();
+  const hit = await ask(body);
+  assert.equal(hit.json.cache, "hit");
+  assert.equal(hit.json.readability.met, false);
+  assert.equal(vendors.calls.openai.length, 0);
+});
+
+test("enhancement cache hits are not simplified again", async () => {
+  const hard = "Hypertension, commonly characterized as persistently elevated arterial blood pressure, constitutes a significant cardiovascular risk factor necessitating comprehensive interventions.";
+  vendors.script("openai", () => ({ text: hard }));
+  const body = { base: "Hypertension basics.", topic: "hypertension", readingLevel: 5 };
+  const first = await server.request("/enhance", { body });
+  assert.equal(first.json.cache, "miss");
+  assert.equal(first.json.readability.met, false);
+  assert.equal(vendors.calls.openai.length, 2); // the enhancement and one simplification attempt
+
+  vendors.reset();
+  const hit = await server.request("/enhance", { body });
+  assert.equal(hit.json.cache, "hit");
+  assert.equal(hit.json.readability.met, false);
+  assert.equal(vendors.calls.openai.length, 0);
+});
+
+test("DELETE /admin/cache purges entries", async () => {
+  await ask({ message: "What is asthma?" });
+  assert.equal((await server.request("/admin/cache", { method: "GET", headers: ADMIN })).json.size, 1);
+  assert.equal((await server.request("/admin/cache?ns=bogus", { method: "DELETE", headers: ADMIN })).status, 400);
+  const purged = await server.request("/admin/cache?ns=chat", { method: "DELETE", headers: ADMIN });
+  assert.equal(purged.json.purged, 1);
+  assert.equal(purged.json.ns, "chat");
+  assert.equal((await ask({ message: "What is asthma?" })).json.cache, "miss");
+  assert.equal((await server.request("/admin/cache", { method: "DELETE" })).status, 401);
+});
+
+test("the file backend keeps answers across restarts", async () => {
+  const env = { ...vendors.env, CACHE_BACKEND: "file", CACHE_DIR: path.join(dir, "server") };
+  let other = await startServer(env);
+  try {
+    assert.equal((await other.request("/chat", { body: { message: "What is asthma?" } })).json.cache, "miss");
+    await other.stop();
+    other = await startServer(env);
+    vendors.reset();
+    const r = await other.request("/chat", { body: { message: "What is asthma?" } });
+    assert.equal(r.json.cache, "hit");
+    assert.equal(r.json.text, "Asthma narrows the airways.");
+    assert.equal(vendors.calls.openai.length, 0);
+  } finally {
+    await other.stop();
+  }
+});
@@ -0,0 +1,232 @@
+// POST /chat against local vendor stand-ins: failover, safety, language routing,
+// triage, validation and PHI redaction, in JSON and SSE modes.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const standins = require("./helpers/standins");
+const { startServer, events } = require("./helpers/server");
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer(vendors.env);
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+beforeEach(() => vendors.reset());
+
+test("answers from the first provider in the auto order", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const r = await server.request("/chat", { body: { message: "What is asthma?" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.provider, "openai");
+  assert.equal(r.json.text, "Asthma narrows the airways.");
+  assert.equal(r.json.triage, "none");
+  assert.equal(r.json.safety.flagged, false);
+  assert.ok(r.json.requestId);
+  assert.equal(r.headers.get("x-request-id"), r.json.requestId);
+  assert.equal(vendors.calls.anthropic.length, 0);
+});
+
+test("fails over to the next provider when one returns 500", async () => {
+  vendors.script("openai", () => ({ status: 500 }));
+  vendors.script("anthropic", () => ({ text: "Blood pressure is the force of blood on artery walls." }));
+  const r = await server.request("/chat", { body: { message: "What is blood pressure?" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.provider, "anthropic");
+  assert.deepEqual(r.json.attempts.map(a => [a.provider, a.ok]), [["openai", false], ["anthropic", true]]);
+  // one try plus PROVIDER_RETRIES=1 retry on the failing vendor
+  assert.equal(vendors.calls.openai.length, 2);
+});
+
+test("a malformed vendor body is not retried and fails over", async () => {
+  vendors.script("openai", () => ({ malformed: true }));
+  const r = await server.request("/chat", { body: { message: "What is cholesterol?" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.provider, "anthropic");
+  assert.equal(vendors.calls.openai.length, 1);
+});
+
+test("returns 502 upstream_error when every provider fails", async () => {
+  for (const v of standins.VENDORS) vendors.script(v, () => ({ status: 500 }));
+  const r = await server.request("/chat", { body: { message: "What is a fever?" } });
+  assert.equal(r.status, 502);
+  assert.equal(r.json.error.code, "upstream_error");
+  assert.equal(r.json.error.attempts.length, 3);
+  assert.ok(r.json.error.requestId);
+});
+
+test("streams deltas and fails over before the first delta", async () => {
+  vendors.script("openai", () => ({ status: 429 }));
+  vendors.script("anthropic", () => ({ text: "Drink water and rest." }));
+  const r = await server.request("/chat?stream=1", { body: { message: "How do I stay hydrated?" } });
+  assert.equal(r.status, 200);
+  const evs = events(r.text);
+  const text = evs.filter(e => e.event === "delta").map(e => e.data.text).join("");
+  assert.equal(text, "Drink water and rest.");
+  const done = evs.find(e => e.event === "done");
+  assert.equal(done.data.provider, "anthropic");
+  assert.ok(done.data.requestId);
+  assert.ok(vendors.calls.anthropic[0].stream);
+});
+
+test("a stream ends with a final error when the next provider's circuit is open", async () => {
+  const { GEMINI_API_KEY, ...env } = vendors.env;
+  const other = await startServer({ ...env, BREAKER_THRESHOLD: "1", PROVIDER_RETRIES: "0" });
+  try {
+    vendors.script("openai", () => ({ status: 500 }));
+    vendors.script("anthropic", () => ({ status: 500 }));
+    assert.equal((await other.request("/chat", { body: { message: "What is a fever?", prefer: { provider: "anthropic" } } })).status, 502);
+
+    const r = await other.request("/chat?stream=1", { body: { message: "What is a fever?" } });
+    const errs = events(r.text).filter(e => e.event === "error");
+    assert.deepEqual(errs.map(e => [e.data.retrying, e.data.next]), [[true, "anthropic"], [false, null]]);
+    assert.equal(errs[1].data.code, "upstream_error");
+    assert.deepEqual(errs[1].data.attempts.map(a => [a.provider, a.skipped || null]), [["openai", null], ["anthropic", "circuit-open"]]);
+    assert.equal(vendors.calls.anthropic.length, 1);
+  } finally {
+    await other.stop();
+  }
+});
+
+test("answers Spanish questions in Spanish", async () => {
+  vendors.script("openai", () => ({ text: "La presión arterial es la fuerza de la sangre." }));
+  const r = await server.request("/chat", { body: { message: "¿Qué es la presión arterial alta y cómo se controla?" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.lang, "es");
+  assert.equal(r.json.mode, "chat");
+  assert.match(vendors.calls.openai[0].system, /en español/);
+});
+
+test("prefer.lang overrides the detected language", async () => {
+  const r = await server.request("/chat", { body: { message: "What is diabetes?", prefer: { lang: "es" } } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.lang, "es");
+  assert.equal(r.json.detectedLang, "en");
+});
+
+test("enum values match case-insensitively and reach the handler lowercased", async () => {
+  const r = await server.request("/chat", { body: { message: "What is diabetes?", prefer: { lang: "ES", provider: "OpenAI" } } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.lang, "es");
+  assert.equal(r.json.provider, "openai");
+  const flag = await server.request("/chat", { body: { message: "I have crushing chest pain", prefer: { lang: "ES" } } });
+  assert.equal(flag.json.provider, "triage");
+  assert.equal(flag.json.lang, "es");
+});
+
+test("translate intent routes to the translator prompt without history", async () => {
+  vendors.script("openai", () => ({ text: "Tome una tableta al día." }));
+  const r = await server.request("/chat", { body: { message: "Translate: take one tablet daily" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.mode, "translate");
+  assert.equal(r.json.lang, "es");
+  assert.match(vendors.calls.openai[0].system, /translat/i);
+  assert.equal(vendors.calls.openai[0].messages.length, 1);
+});
+
+test("flags individualized dosing in the answer", async () => {
+  vendors.script("openai", () => ({ text: "Diabetes means high blood sugar. Take 500mg of metformin twice daily." }));
+  const r = await server.request("/chat", { body: { message: "How should I treat diabetes?" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.safety.flagged, true);
+  assert.equal(r.json.safety.action, "redacted");
+  assert.doesNotMatch(r.json.text, /500 ?mg/);
+});
+
+test("streams only sentences that pass the safety filter", async () => {
+  vendors.script("openai", () => ({ text: "Diabetes means high blood sugar. Take 500mg of metformin twice daily. Check your feet every day." }));
+  const r = await server.request("/chat?stream=1", { body: { message: "How should I treat diabetes?" } });
+  const evs = events(r.text);
+  const streamed = evs.filter(e => e.event === "delta").map(e => e.data.text).join("");
+  assert.equal(streamed, "Diabetes means high blood sugar. ");
+  const done = evs.find(e => e.event === "done");
+  assert.equal(done.data.safety.flagged, true);
+  assert.doesNotMatch(done.data.text, /500 ?mg/);
+  assert.match(done.data.text, /Check your feet every day\./);
+});
+
+test("scores every answer and simplifies once when prefer.readingLevel is missed", async () => {
+  const hard = "Hypertension, commonly characterized as persistently elevated arterial blood pressure, constitutes a significant cardiovascular risk factor necessitating comprehensive interventions.";
+  const easy = "High blood pressure means your blood pushes too hard. It can hurt your heart. Eat less salt and walk each day.";
+  vendors.script("openai", p => ({ text: /rewrite patient-education text/.test(p.system) ? easy : hard }));
+
+  const plain = await server.request("/chat", { body: { message: "What is hypertension?" } });
+  assert.equal(plain.json.readability.formula, "flesch-kincaid");
+  assert.equal(plain.json.readability.met, null);
+  assert.equal(plain.json.text, hard);
+
+  vendors.reset();
+  vendors.script("openai", p => ({ text: /rewrite patient-education text/.test(p.system) ? easy : hard }));
+  const r = await server.request("/chat", { body: { message: "What is hypertension?", prefer: { readingLevel: 5 } } });
+  assert.equal(r.status, 200);
+  assert.match(vendors.calls.openai[0].system, /grade 5 reader/);
+  assert.equal(vendors.calls.openai.length, 2);
+  assert.equal(r.json.text, easy);
+  assert.equal(r.json.readability.action, "simplified");
+  assert.equal(r.json.readability.target, 5);
+  assert.equal(r.json.readability.met, true);
+});
+
+test("streamed answers that get simplified are replaced in done.text", async () => {
+  const hard = "Pharmacological management of hyperlipidemia frequently necessitates individualized therapeutic considerations.";
+  const easy = "Some people need medicine for high cholesterol. Your care team can help.";
+  vendors.script("openai", p => ({ text: /rewrite patient-education text/.test(p.system) ? easy : hard }));
+  const r = await server.request("/chat?stream=1", { body: { message: "What is cholesterol?", prefer: { readingLevel: 6 } } });
+  const done = events(r.text).find(e => e.event === "done");
+  assert.equal(done.data.text, easy);
+  assert.equal(done.data.readability.action, "simplified");
+});
+
+test("red flags get the triage reply and never reach a provider", async () => {
+  const r = await server.request("/chat", { body: { message: "I have crushing chest pain and cannot breathe" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.provider, "triage");
+  assert.equal(r.json.triage, "emergency");
+  for (const v of standins.VENDORS) assert.equal(vendors.calls[v].length, 0);
+});
+
+test("PHI is replaced with placeholders before it leaves the server", async () => {
+  vendors.script("openai", p => ({ text: `Thanks for your question. ${p.user.match(/\[[A-Z_]+_\d+\]/)?.[0] || ""}` }));
+  const r = await server.request("/chat", { body: { message: "My email is ana.lopez@example.com, what is asthma?" } });
+  assert.equal(r.status, 200);
+  assert.doesNotMatch(vendors.calls.openai[0].user, /ana\.lopez@example\.com/);
+  assert.equal(r.json.phi.redacted, true);
+  assert.match(r.json.text, /ana\.lopez@example\.com/);
+});
+
+test("follow-ups carry the conversation history", async () => {
+  const first = await server.request("/chat", { body: { message: "What is asthma?" } });
+  const r = await server.request("/chat", { body: { message: "What about for kids?", conversationId: first.json.conversationId } });
+  assert.equal(r.json.conversationId, first.json.conversationId);
+  assert.equal(r.json.turns, 2);
+  assert.equal(vendors.calls.openai[1].messages.length, 3);
+});
+
+test("unknown specialties fall back to the general profile", async () => {
+  const r = await server.request("/chat", { body: { message: "What is asthma?", specialty: "astrology" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.specialty, "general");
+});
+
+test("rejects invalid bodies with stable error codes", async () => {
+  const cases = [
+    [{}, 400, "validation_failed"],
+    [{ message: "x".repeat(5000) }, 400, "validation_failed"],
+    [{ message: "hi", prefer: { provider: "nope" } }, 400, "unknown_provider"],
+    [{ message: "hi", prefer: { readingLevel: 20 } }, 400, "validation_failed"],
+    [{ message: "hi", prefer: { readingLevel: "easy" } }, 400, "validation_failed"],
+    [{ message: "hi", prefer: { provider: "mock" } }, 503, "provider_unavailable"],
+    ["{ nope", 400, "invalid_json"]
+  ];
+  for (const [body, status, code] of cases) {
+    const r = await server.request("/chat", { body });
+    assert.equal(r.status, status, JSON.stringify(body));
+    assert.equal(r.json.error.code, code, JSON.stringify(body));
+  }
+});
@@ -0,0 +1,118 @@
+// The /enhance handler core (lib/handlers/enhance.js), called in-process the way
+// lib/adapters.js does, against local vendor stand-ins.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const standins = require("./helpers/standins");
+
+let vendors, enhance, dir;
+
+before(async () => {
+  vendors = await standins.start();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "infohealth-test-"));
+  // the shared modules read their configuration at require time
+  for (const key of ["OPENAI_API_KEY", "ANTHROPIC_API_KEY", "CLAUDE_API_KEY", "GEMINI_API_KEY", "MOCK_PROVIDER"]) delete process.env[key];
+  Object.assign(process.env, vendors.env, {
+    CACHE_BACKEND: "off",
+    LOG_LEVEL: "error",
+    USAGE_FILE: path.join(dir, "usage.json"),
+    API_KEYS_FILE: path.join(dir, "api-keys.json")
+  });
+  enhance = require("../lib/handlers/enhance");
+});
+
+after(async () => {
+  await vendors?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => vendors.reset());
+
+const call = body => enhance({ method: "POST", body, requestId: "test-req" });
+
+test("enhances a knowledge-base topic with the first provider", async () => {
+  vendors.script("openai", () => ({ text: "Check your blood sugar as your care team advises." }));
+  const r = await call({ base: "Diabetes basics.", topic: "diabetes", lang: "en" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.enhanced, "Check your blood sugar as your care team advises.");
+  assert.equal(r.body.safety.flagged, false);
+  assert.match(vendors.calls.openai[0].user, /Provide the answer in English/);
+  assert.match(vendors.calls.openai[0].user, /grade 8 reader/);
+  assert.equal(r.body.promptVersion, "enhance.v1");
+});
+
+test("checks the reading level and length and simplifies once", async () => {
+  const long = Array(30).fill("Check your blood sugar as your care team advises and keep a log.").join(" ");
+  vendors.script("openai", p => ({ text: /rewrite patient-education text/.test(p.system) ? long.split(" ").slice(0, 200).join(" ") : long }));
+  const r = await call({ base: "Diabetes basics.", topic: "diabetes", readingLevel: 6 });
+  assert.match(vendors.calls.openai[0].user, /grade 6 reader/);
+  assert.match(vendors.calls.openai[1].system, /Use 170-220 words/);
+  assert.equal(r.body.readability.action, "simplified");
+  assert.equal(r.body.readability.words, 200);
+  assert.equal(r.body.readability.met, true);
+});
+
+test("asks for Spanish when lang is es", async () => {
+  await call({ base: "Asma.", topic: "asthma", lang: "es" });
+  assert.match(vendors.calls.openai[0].user, /Provide the answer in Spanish/);
+});
+
+test("falls back through Anthropic to Gemini", async () => {
+  vendors.script("openai", () => ({ status: 500 }));
+  vendors.script("anthropic", () => ({ malformed: true }));
+  vendors.script("gemini", () => ({ text: "Take walks and eat less salt." }));
+  const r = await call({ base: "Hypertension basics.", topic: "hypertension" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.enhanced, "Take walks and eat less salt.");
+  // the answer plus one simplification pass for being far under the word range
+  assert.equal(vendors.calls.gemini.length, 2);
+  assert.deepEqual(r.body.readability.missed, ["words"]);
+});
+
+test("returns the base text when every provider fails", async () => {
+  for (const v of standins.VENDORS) vendors.script(v, () => ({ status: 500 }));
+  const r = await call({ base: "Cholesterol basics.", topic: "cholesterol" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.enhanced, "Cholesterol basics.");
+});
+
+test("PHI in the base is replaced with placeholders and restored in the enhancement", async () => {
+  vendors.script("openai", p => ({ text: `Questions? Write to ${p.user.match(/\[[A-Z_]+_\d+\]/)?.[0] || ""}.` }));
+  const r = await call({ base: "Asthma basics. Contact ana.lopez@example.com with questions.", topic: "asthma" });
+  assert.doesNotMatch(vendors.calls.openai[0].user, /ana\.lopez@example\.com/);
+  assert.match(vendors.calls.openai[0].system, /placeholder/i);
+  assert.match(r.body.enhanced, /ana\.lopez@example\.com/);
+  assert.deepEqual(r.body.phi, { redacted: true, count: 1, categories: ["email"] });
+  assert.equal(r.body.cache, "bypass");
+});
+
+test("topics outside the knowledge base are returned untouched", async () => {
+  const r = await call({ base: "Astrology.", topic: "astrology" });
+  assert.deepEqual(r.body, { enhanced: "Astrology." });
+  assert.equal(vendors.calls.openai.length, 0);
+});
+
+test("unsafe enhancements fall back to the curated base", async () => {
+  vendors.script("openai", () => ({ text: "Start taking 20 units of insulin every night." }));
+  const r = await call({ base: "Diabetes basics.", topic: "diabetes" });
+  assert.equal(r.body.safety.flagged, true);
+  assert.doesNotMatch(r.body.enhanced, /20 units/);
+});
+
+test("rejects bad requests with the error envelope", async () => {
+  const get = await enhance({ method: "GET", requestId: "test-req" });
+  assert.equal(get.status, 405);
+  assert.equal(get.body.error.code, "method_not_allowed");
+
+  const bad = await call("{ nope");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.code, "invalid_json");
+
+  const missing = await call({ topic: "diabetes" });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error.code, "validation_failed");
+  assert.equal(missing.body.error.requestId, "test-req");
+});
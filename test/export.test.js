@@ -0,0 +1,166 @@
+// POST /export printable handouts (lib/handout.js, lib/pdf.js).
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const handout = require("../lib/handout");
+const pdf = require("../lib/pdf");
+const standins = require("./helpers/standins");
+const { startServer, events } = require("./helpers/server");
+
+const VETTED = { title: "High Blood Pressure", url: "https://medlineplus.gov/highbloodpressure.html" };
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer(vendors.env);
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+// Text drawn on the PDF's pages, from the inflated content streams.
+function pdfText(buf) {
+  const out = [];
+  const raw = buf.toString("latin1");
+  const re = /(?<!end)stream\n/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const end = raw.indexOf("\nendstream", m.index);
+    const content = zlib.inflateSync(buf.subarray(m.index + m[0].length, end)).toString("latin1");
+    for (const [, s] of content.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)) out.push(s.replace(/\\([()\\])/g, "$1"));
+  }
+  return out.join("\n");
+}
+
+test("returns a standalone HTML handout with escaped content and vetted sources only", async () => {
+  const r = await server.request("/export", {
+    body: {
+      source: "chat",
+      format: "html",
+      question: "What is <b>high</b> blood pressure?",
+      answer: "It means your blood pushes too hard.\n\nTips:\n- Eat less salt\n- Walk each day",
+      sources: [VETTED, { title: "Miracle cure", url: "https://example.com/cure" }],
+      responseId: "req-123"
+    }
+  });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^text\/html/);
+  assert.match(r.headers.get("content-disposition"), /^inline; filename="handout-\d{4}-\d{2}-\d{2}\.html"/);
+  assert.match(r.text, /What is &lt;b&gt;high&lt;\/b&gt; blood pressure\?/);
+  assert.match(r.text, /<li>Eat less salt<\/li>/);
+  assert.match(r.text, /not medical advice/);
+  assert.match(r.text, /medlineplus\.gov\/highbloodpressure\.html/);
+  assert.doesNotMatch(r.text, /example\.com|Miracle cure/);
+  assert.match(r.text, /req-123/);
+  assert.doesNotMatch(r.text, /<script/i);
+});
+
+test("returns a PDF with the answer, sources and disclaimer", async () => {
+  const r = await server.request("/export", {
+    raw: true,
+    body: { format: "PDF", question: "What is asthma?", answer: "Asthma narrows the airways.", sources: [VETTED] }
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("content-type"), "application/pdf");
+  assert.match(r.headers.get("content-disposition"), /^attachment; filename="handout-.*\.pdf"/);
+  const buf = Buffer.from(await r.arrayBuffer());
+  const raw = buf.toString("latin1");
+  assert.ok(raw.startsWith("%PDF-1.4"));
+  assert.ok(raw.trimEnd().endsWith("%%EOF"));
+
+  // every xref entry points at its object
+  const xref = raw.slice(Number(raw.match(/startxref\n(\d+)/)[1]));
+  const offsets = [...xref.matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+  assert.ok(offsets.length > 4);
+  offsets.forEach((at, i) => assert.ok(raw.startsWith(`${i + 1} 0 obj`, at), `object ${i + 1}`));
+
+  const text = pdfText(buf);
+  assert.match(text, /What is asthma\?/);
+  assert.match(text, /Asthma narrows the airways\./);
+  assert.match(text, /High Blood Pressure/);
+  assert.match(text, /not medical advice/);
+  assert.match(text, /Page 1 of 1/);
+});
+
+test("redacts unsafe advice in the exported answer", async () => {
+  const r = await server.request("/export", {
+    body: { answer: "Diabetes means high blood sugar. Take 500mg of metformin twice daily." }
+  });
+  assert.equal(r.status, 200);
+  assert.match(r.text, /high blood sugar/);
+  assert.doesNotMatch(r.text, /500 ?mg/);
+});
+
+test("keeps translated answers as translated", async () => {
+  const label = "Take 500mg of metformin twice daily.";
+  vendors.script("openai", () => ({ text: label }));
+  const chat = await server.request("/chat", { body: { message: "Traducir: tome 500 mg de metformina dos veces al día" } });
+  assert.equal(chat.json.mode, "translate");
+  assert.equal(chat.json.text, label);
+
+  const r = await server.request("/export", { body: { question: "Traducir: tome 500 mg de metformina dos veces al día", answer: chat.json.text, lang: "en", responseId: chat.json.responseId } });
+  assert.equal(r.status, 200);
+  assert.match(r.text, /Take 500mg of metformin twice daily\./);
+  // only the server's record makes an answer a translation
+  const other = await server.request("/export", { body: { answer: label, responseId: "made-up" } });
+  assert.doesNotMatch(other.text, /500 ?mg/);
+});
+
+test("checks text exported under a translation's responseId unless it is that translation", async () => {
+  const label = "Take 500mg of metformin twice daily.";
+  vendors.script("openai", () => ({ text: label }));
+  const chat = await server.request("/chat?stream=1", { body: { message: "Traducir: tome 500 mg de metformina dos veces al día" } });
+  const evs = events(chat.text);
+  const shown = evs.filter(e => e.event === "delta").map(e => e.data.text).join("");
+  const { responseId } = evs.find(e => e.event === "done").data;
+
+  const same = await server.request("/export", { body: { answer: `${shown}\n`, responseId } });
+  assert.match(same.text, /Take 500mg of metformin twice daily\./);
+  const swapped = await server.request("/export", { body: { answer: "Take 800mg of ibuprofen every 4 hours.", responseId } });
+  assert.doesNotMatch(swapped.text, /800 ?mg/);
+  const sections = await server.request("/export", { body: { answer: shown, structured: { summary: "Hi.", selfCare: ["Take 800mg of ibuprofen every 4 hours."] }, responseId } });
+  assert.doesNotMatch(sections.text, /800 ?mg/);
+});
+
+test("renders structured answers with localized headings", () => {
+  const { doc, safety } = handout.build({
+    lang: "es",
+    question: "¿Qué es el asma?",
+    answer: "El asma estrecha las vías respiratorias.",
+    structured: { summary: "El asma estrecha las vías respiratorias.", whenToSeekCare: ["Si le cuesta respirar"] }
+  }, { now: new Date("2026-03-05T12:00:00Z") });
+  assert.equal(safety.flagged, false);
+  const page = handout.html(doc);
+  assert.match(page, /<html lang="es">/);
+  assert.match(page, /Su pregunta/);
+  assert.match(page, /Si le cuesta respirar/);
+  assert.match(page, /5 de marzo de 2026/);
+  assert.equal(handout.filename(doc, "pdf"), "handout-2026-03-05.pdf");
+  assert.match(pdfText(handout.pdf(doc)), /P\\341gina 1 de 1/);
+});
+
+test("wraps a maximum-length unbroken answer in linear time", () => {
+  const word = "a".repeat(handout.MAX_ANSWER);
+  const t0 = Date.now();
+  const lines = pdf.wrap(word, 480, 11, false);
+  const buf = handout.pdf(handout.build({ answer: word }).doc);
+  assert.ok(Date.now() - t0 < 2000, `took ${Date.now() - t0} ms`);
+  assert.equal(lines.join(""), word);
+  assert.ok(lines.every(line => pdf.measure(line, 11, false) <= 480));
+  assert.ok(buf.length > 0);
+});
+
+test("uses the topic for enhancement handouts", () => {
+  const { doc } = handout.build({ source: "enhance", topic: "asthma", answer: "Keep your inhaler with you." });
+  assert.deepEqual(doc.prompt, { label: "Topic", text: "asthma" });
+});
+
+test("rejects bad requests", async () => {
+  assert.equal((await server.request("/export", { body: { answer: "Hi", format: "docx" } })).status, 400);
+  assert.equal((await server.request("/export", { body: { format: "html" } })).status, 400);
+  assert.equal((await server.request("/export", { body: { answer: "Hi", sources: "x" } })).status, 400);
+});
@@ -0,0 +1,133 @@
+// POST /feedback ratings and the GET /admin/feedback export (lib/feedback.js).
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const feedback = require("../lib/feedback");
+const standins = require("./helpers/standins");
+const { startServer, events } = require("./helpers/server");
+
+const ADMIN = { Authorization: "Bearer admin-secret" };
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer({ ...vendors.env, ADMIN_TOKEN: "admin-secret" });
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+beforeEach(() => vendors.reset());
+
+async function answer(body = { message: "What is asthma?" }) {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  return (await server.request("/chat", { body })).json;
+}
+
+test("stores a rating with the answer's metadata", async () => {
+  const a = await answer({ message: "¿Qué es el asma?", prefer: { lang: "es" } });
+  const r = await server.request("/feedback", { body: { responseId: a.responseId, rating: "down", reason: "too_complex", comment: "Too many big words" } });
+  assert.equal(r.status, 201);
+  assert.equal(r.json.replaced, false);
+
+  const report = await server.request("/admin/feedback", { method: "GET", headers: ADMIN });
+  const rec = report.json.records.find(x => x.responseId === a.responseId);
+  assert.equal(rec.rating, "down");
+  assert.equal(rec.reason, "too_complex");
+  assert.equal(rec.comment, "Too many big words");
+  assert.equal(rec.provider, "openai");
+  assert.equal(rec.model, a.model);
+  assert.equal(rec.promptVersion, "chat.v1");
+  assert.equal(rec.lang, "es");
+  assert.ok(report.json.totals.reasons.too_complex >= 1);
+});
+
+test("rates streamed answers by the id in the done event", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const r = await server.request("/chat?stream=1", { body: { message: "What is asthma?" } });
+  const done = events(r.text).find(e => e.event === "done");
+  const f = await server.request("/feedback", { body: { responseId: done.data.responseId, rating: "up" } });
+  assert.equal(f.status, 201);
+});
+
+test("answers get their own responseId even when callers reuse X-Request-Id", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const headers = { "X-Request-Id": "shared-id-1" };
+  const mine = (await server.request("/chat", { body: { message: "What is asthma?", prefer: { lang: "es" } }, headers })).json;
+  const theirs = (await server.request("/chat", { body: { message: "What is asthma?" }, headers })).json;
+  assert.equal(mine.requestId, "shared-id-1");
+  assert.notEqual(mine.responseId, theirs.responseId);
+
+  assert.equal((await server.request("/feedback", { body: { responseId: "shared-id-1", rating: "up" } })).status, 404);
+  assert.equal((await server.request("/feedback", { body: { responseId: mine.responseId, rating: "down" } })).status, 201);
+  assert.equal((await server.request("/feedback", { body: { responseId: theirs.responseId, rating: "up" } })).status, 201);
+  const report = await server.request("/admin/feedback", { method: "GET", headers: ADMIN });
+  const rec = report.json.records.find(x => x.responseId === mine.responseId);
+  assert.equal(rec.rating, "down");
+  assert.equal(rec.lang, "es");
+  assert.equal(rec.requestId, "shared-id-1");
+});
+
+test("a second rating replaces the first", async () => {
+  const a = await answer();
+  await server.request("/feedback", { body: { responseId: a.responseId, rating: "up" } });
+  const again = await server.request("/feedback", { body: { responseId: a.responseId, rating: "down", reason: "inaccurate" } });
+  assert.equal(again.status, 200);
+  assert.equal(again.json.replaced, true);
+  const report = await server.request("/admin/feedback", { method: "GET", headers: ADMIN });
+  const mine = report.json.records.filter(x => x.responseId === a.responseId);
+  assert.equal(mine.length, 1);
+  assert.equal(mine[0].rating, "down");
+});
+
+test("redacts personal details from comments", async () => {
+  const a = await answer();
+  await server.request("/feedback", { body: { responseId: a.responseId, rating: "down", reason: "unsafe", comment: "My name is Maria Lopez and my phone is 555-123-4567" } });
+  const report = await server.request("/admin/feedback", { method: "GET", headers: ADMIN });
+  const rec = report.json.records.find(x => x.responseId === a.responseId);
+  assert.doesNotMatch(rec.comment, /Maria|555-123-4567/);
+  assert.ok(rec.phi.length > 0);
+});
+
+test("unknown answers and bad bodies are rejected", async () => {
+  const unknown = await server.request("/feedback", { body: { responseId: "nope", rating: "up" } });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.json.error.code, "not_found");
+
+  const a = await answer();
+  const rating = await server.request("/feedback", { body: { responseId: a.responseId, rating: "meh" } });
+  assert.equal(rating.status, 400);
+  assert.equal(rating.json.error.field, "rating");
+  const reason = await server.request("/feedback", { body: { responseId: a.responseId, rating: "down", reason: "boring" } });
+  assert.equal(reason.json.error.field, "reason");
+});
+
+test("exports CSV for administrators only", async () => {
+  const a = await answer();
+  await server.request("/feedback", { body: { responseId: a.responseId, rating: "down", reason: "inaccurate", comment: '=cmd, "quoted"' } });
+
+  const denied = await server.request("/admin/feedback?format=csv", { method: "GET" });
+  assert.equal(denied.status, 401);
+
+  const r = await server.request("/admin/feedback?format=csv&rating=down", { method: "GET", headers: ADMIN });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /text\/csv/);
+  assert.match(r.headers.get("content-disposition"), /attachment; filename="feedback-\d{4}-\d{2}-\d{2}-\d{4}-\d{2}-\d{2}\.csv"/);
+  const [header, ...rows] = r.text.trim().split("\r\n");
+  assert.equal(header, feedback.FIELDS.join(","));
+  assert.ok(rows.every(row => !row.includes(",up,")));
+  // formula-looking cells are neutralized and quotes escaped
+  assert.ok(rows.some(row => row.includes(`"'=cmd, ""quoted"""`)));
+
+  const bad = await server.request("/admin/feedback?format=xml", { method: "GET", headers: ADMIN });
+  assert.equal(bad.status, 400);
+});
+
+test("CSV cells are quoted only when needed", () => {
+  const csv = feedback.toCSV([{ id: "1", rating: "up", comment: "line\nbreak", phi: ["name", "phone"] }]);
+  const row = csv.split("\r\n")[1];
+  assert.match(row, /^1,,,up,,"line\nbreak",name;phone,/);
+});
@@ -0,0 +1,17 @@
+// The compliance fixture runners (npm run triage:check, safety:check, phi:check,
+// i18n:check, prompts:check) as part of `npm test`, so CI runs every corpus.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const CHECKS = ["triage", "safety", "phi", "i18n", "prompts"];
+
+for (const name of CHECKS) {
+  test(`${name}:check passes`, () => {
+    const run = spawnSync(process.execPath, [path.join("scripts", `${name}-check.js`)], { cwd: ROOT, encoding: "utf8", timeout: 60000 });
+    assert.equal(run.status, 0, `${run.stdout}${run.stderr}`);
+  });
+}
@@ -0,0 +1,54 @@
+// GET /health (shallow and deep probes) and GET /metrics against local vendor stand-ins.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const standins = require("./helpers/standins");
+const { startServer } = require("./helpers/server");
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer(vendors.env);
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+beforeEach(() => vendors.reset());
+
+test("reports configured providers without calling them", async () => {
+  const r = await server.request("/health", { method: "GET" });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.status, "ok");
+  assert.equal(r.json.hasOpenAI, true);
+  assert.equal(r.json.hasMock, false);
+  for (const v of standins.VENDORS) assert.equal(vendors.calls[v].length, 0);
+});
+
+test("deep=1 probes every provider and reports degraded when one is down", async () => {
+  vendors.script("gemini", () => ({ status: 503 }));
+  const r = await server.request("/health?deep=1", { method: "GET" });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.status, "degraded");
+  for (const v of standins.VENDORS) assert.equal(vendors.calls[v].length >= 1, true, v);
+});
+
+test("deep=1 returns 503 when every provider is down", async () => {
+  for (const v of standins.VENDORS) vendors.script(v, () => ({ status: 500 }));
+  await new Promise(r => setTimeout(r, 10)); // let the previous probe result expire
+  const r = await server.request("/health?deep=1", { method: "GET" });
+  assert.equal(r.status, 503);
+  assert.equal(r.json.status, "down");
+});
+
+test("exposes Prometheus metrics", async () => {
+  await server.request("/chat", { body: { message: "What is asthma?" } });
+  const r = await server.request("/metrics", { method: "GET" });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /text\/plain/);
+  assert.match(r.text, /infohealth_http_requests_total\{route="\/chat",method="POST",status="200"\} \d+/);
+  assert.match(r.text, /infohealth_provider_request_duration_seconds_bucket\{provider="openai",outcome="ok"/);
+});
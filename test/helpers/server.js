@@ -0,0 +1,106 @@
+// test/helpers/server.js — run server.js as a child process for integration tests
+// Starts on a free port (PORT=0) with a clean environment — no vendor keys leak in
+// from the developer's shell — and state files in a throwaway directory. Resolves
+// once the `boot` log record reports the port.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const DEFAULTS = {
+  CACHE_BACKEND: "off",
+  PROVIDER_RETRIES: "1",
+  PROVIDER_RETRY_BASE_MS: "1",
+  BREAKER_THRESHOLD: "1000",
+  HEALTH_PROBE_TTL_SEC: "0.001"
+};
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "infohealth-test-"));
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: "0",
+      USAGE_FILE: path.join(dir, "usage.json"),
+      FEEDBACK_FILE: path.join(dir, "feedback.json"),
+      API_KEYS_FILE: path.join(dir, "api-keys.json"),
+      CACHE_DIR: path.join(dir, "cache"),
+      ...DEFAULTS,
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  const logs = [];
+  let buf = "";
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not boot:\n${logs.join("\n")}`)), 10000);
+    const onLine = line => {
+      logs.push(line);
+      try {
+        const rec = JSON.parse(line);
+        if (rec.event === "boot") {
+          clearTimeout(timer);
+          resolve(rec.port);
+        }
+      } catch { /* not a log record */ }
+    };
+    child.stdout.on("data", chunk => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf("\n")) !== -1) {
+        onLine(buf.slice(0, i));
+        buf = buf.slice(i + 1);
+      }
+    });
+    child.stderr.on("data", chunk => logs.push(String(chunk).trim()));
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code}):\n${logs.join("\n")}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    logs,
+    // fetch + JSON for the common case; `raw: true` returns the Response untouched
+    async request(route, { method = "POST", body, headers = {}, raw = false } = {}) {
+      const r = await fetch(`${url}${route}`, {
+        method,
+        headers: body !== undefined ? { "content-type": "application/json", ...headers } : headers,
+        body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+      });
+      if (raw) return r;
+      const text = await r.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch { /* SSE or plain text */ }
+      return { status: r.status, headers: r.headers, json, text };
+    },
+    stop() {
+      return new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.removeAllListeners("exit");
+        child.on("exit", () => {
+          fs.rmSync(dir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill();
+      });
+    }
+  };
+}
+
+// Parses an SSE body into [{ event, data }].
+function events(text) {
+  return text.split(/\n\n/).filter(Boolean).map(raw => ({
+    event: (raw.match(/^event: (.*)$/m) || [])[1] || "message",
+    data: JSON.parse((raw.match(/^data: (.*)$/m) || [])[1] || "null")
+  }));
+}
+
+module.exports = { startServer, events };
@@ -0,0 +1,168 @@
+// test/helpers/standins.js — local HTTP stand-ins for the OpenAI, Anthropic and Gemini APIs
+// One server answers all three vendors' paths in their real wire formats (JSON
+// and SSE), so lib/providers.js runs unmodified against it via *_BASE_URL.
+// Each vendor's behavior is set per test with `script(vendor, fn)`, where
+// fn(request) returns { text?, status?, delayMs?, malformed? }; every request
+// body is recorded in `calls[vendor]` so tests can assert what left the server.
+
+const http = require("http");
+
+const VENDORS = ["openai", "anthropic", "gemini"];
+
+function vendorOf(url) {
+  if (url.startsWith("/openai/")) return "openai";
+  if (url.startsWith("/anthropic/")) return "anthropic";
+  if (url.startsWith("/gemini/")) return "gemini";
+  return null;
+}
+
+// Normalized view of a recorded request: { system, user, messages, stream, json }.
+// `json` is true when the vendor's JSON mode was requested.
+function prompt(vendor, body, url) {
+  if (vendor === "openai") {
+    const system = body.messages.find(m => m.role === "system")?.content || "";
+    const messages = body.messages.filter(m => m.role !== "system");
+    return { system, messages, user: messages[messages.length - 1]?.content, stream: !!body.stream, json: !!body.response_format };
+  }
+  if (vendor === "anthropic") {
+    return {
+      system: body.system || "",
+      messages: body.messages,
+      user: body.messages[body.messages.length - 1]?.content,
+      stream: !!body.stream,
+      json: body.tool_choice?.type === "tool"
+    };
+  }
+  const messages = body.contents.map(c => ({ role: c.role === "model" ? "assistant" : "user", content: c.parts.map(p => p.text).join("") }));
+  return {
+    system: body.systemInstruction?.parts?.map(p => p.text).join("") || "",
+    messages,
+    user: messages[messages.length - 1]?.content,
+    stream: url.includes("streamGenerateContent"),
+    json: body.generationConfig?.responseMimeType === "application/json"
+  };
+}
+
+function sse(res, events) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  for (const [event, data] of events) {
+    res.write(`${event ? `event: ${event}\n` : ""}data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+}
+
+// Word chunks so streamed answers arrive in several deltas.
+const split = text => text.match(/\S+\s*/g) || [""];
+
+const formats = {
+  openai(res, text, stream) {
+    if (!stream) {
+      return res.end(JSON.stringify({
+        model: "gpt-standin",
+        choices: [{ message: { content: text }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 10, completion_tokens: 20 }
+      }));
+    }
+    sse(res, [
+      ...split(text).map((t, i) => [null, { model: "gpt-standin", choices: [{ delta: { content: t }, finish_reason: i === split(text).length - 1 ? "stop" : null }] }]),
+      [null, { choices: [], usage: { prompt_tokens: 10, completion_tokens: 20 } }],
+      [null, "[DONE]"]
+    ]);
+  },
+  anthropic(res, text, stream, json) {
+    if (!stream) {
+      // a forced tool call answers with the document as the tool input
+      let input = null;
+      try { input = json ? JSON.parse(text) : null; } catch { /* not JSON: plain text block */ }
+      return res.end(JSON.stringify({
+        model: "claude-standin",
+        content: [input ? { type: "tool_use", name: "answer", input } : { type: "text", text }],
+        stop_reason: "end_turn",
+        usage: { input_tokens: 11, output_tokens: 21 }
+      }));
+    }
+    sse(res, [
+      ["message_start", { message: { model: "claude-standin", usage: { input_tokens: 11 } } }],
+      ...split(text).map(t => ["content_block_delta", { delta: { text: t } }]),
+      ["message_delta", { delta: { stop_reason: "end_turn" }, usage: { output_tokens: 21 } }],
+      ["message_stop", {}]
+    ]);
+  },
+  gemini(res, text, stream) {
+    const usageMetadata = { promptTokenCount: 12, candidatesTokenCount: 22 };
+    if (!stream) {
+      return res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text }] }, finishReason: "STOP" }], usageMetadata, modelVersion: "gemini-standin" }));
+    }
+    const parts = split(text);
+    sse(res, parts.map((t, i) => [null, {
+      candidates: [{ content: { parts: [{ text: t }] }, ...(i === parts.length - 1 ? { finishReason: "STOP" } : {}) }],
+      ...(i === parts.length - 1 ? { usageMetadata } : {}),
+      modelVersion: "gemini-standin"
+    }]));
+  }
+};
+
+// Resolves { url, env, calls, script, reset, close }. `env` holds the *_BASE_URL and
+// key variables that point lib/providers.js at the stand-ins.
+async function start() {
+  const calls = Object.fromEntries(VENDORS.map(v => [v, []]));
+  const scripts = {};
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", c => { raw += c; });
+    req.on("end", async () => {
+      const vendor = vendorOf(req.url);
+      if (!vendor) {
+        res.writeHead(404);
+        return res.end();
+      }
+      const body = JSON.parse(raw || "{}");
+      const p = prompt(vendor, body, req.url);
+      calls[vendor].push(p);
+      const plan = (scripts[vendor] || (() => ({})))(p) || {};
+      if (plan.delayMs) await new Promise(r => setTimeout(r, plan.delayMs));
+      if (res.destroyed) return;
+      if (plan.status && plan.status !== 200) {
+        res.writeHead(plan.status, { "content-type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: `stand-in ${plan.status}` } }));
+      }
+      if (plan.malformed) {
+        res.writeHead(200, { "content-type": "application/json" });
+        return res.end("{ not json");
+      }
+      formats[vendor](res, plan.text ?? `${vendor} answer`, p.stream, p.json);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    calls,
+    env: {
+      OPENAI_API_KEY: "test-openai",
+      ANTHROPIC_API_KEY: "test-anthropic",
+      GEMINI_API_KEY: "test-gemini",
+      OPENAI_BASE_URL: `${url}/openai`,
+      ANTHROPIC_BASE_URL: `${url}/anthropic`,
+      GEMINI_BASE_URL: `${url}/gemini`
+    },
+    script(vendor, fn) {
+      scripts[vendor] = fn;
+    },
+    reset() {
+      for (const v of VENDORS) {
+        calls[v].length = 0;
+        delete scripts[v];
+      }
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { VENDORS, start };
@@ -0,0 +1,75 @@
+// Message catalogs (lib/i18n.js, data/i18n): GET /i18n/:lang and the localized
+// `userMessage` of error envelopes.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../lib/i18n");
+const { startServer, events } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer({ MOCK_PROVIDER: "1" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("every catalog has the reference keys and placeholders", () => {
+  for (const lang of i18n.LANGS) {
+    const { missing, placeholders } = i18n.problems(lang);
+    assert.deepEqual(missing, [], lang);
+    assert.deepEqual(placeholders, [], lang);
+  }
+});
+
+test("t fills placeholders and falls back to English, then the key", () => {
+  assert.equal(i18n.t("ui.seconds", "es", { n: 30 }), "30 segundos");
+  assert.equal(i18n.t("ui.sources", "fr"), "Sources");
+  assert.equal(i18n.t("no.such.key", "es"), "no.such.key");
+});
+
+test("picks the language from the body, then Accept-Language", () => {
+  assert.equal(i18n.langOf({ body: { prefer: { lang: "es" } }, headers: {} }), "es");
+  assert.equal(i18n.langOf({ body: {}, headers: { "accept-language": "fr-FR,es-MX;q=0.8,en;q=0.5" } }), "es");
+  assert.equal(i18n.langOf({ body: { lang: "de" }, headers: {} }), "en");
+});
+
+test("GET /i18n lists the catalogs", async () => {
+  const r = await server.request("/i18n", { method: "GET" });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.default, "en");
+  assert.deepEqual(r.json.languages.map(l => l.lang).sort(), ["en", "es"]);
+});
+
+test("GET /i18n/:lang serves one catalog", async () => {
+  const r = await server.request("/i18n/ES", { method: "GET" });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.lang, "es");
+  assert.equal(r.json.messages["ui.home"], "🏠 Inicio");
+  assert.match(r.headers.get("cache-control"), /max-age/);
+
+  const missing = await server.request("/i18n/xx", { method: "GET" });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.json.error.code, "unsupported_language");
+  assert.deepEqual(missing.json.error.supported.sort(), ["en", "es"]);
+});
+
+test("error envelopes carry a userMessage in the caller's language", async () => {
+  const en = await server.request("/chat", { body: { message: "hi", format: "xml" } });
+  assert.equal(en.json.error.userMessage, i18n.t("error.validation_failed", "en"));
+
+  const es = await server.request("/chat", { body: { message: "hola", format: "xml", prefer: { lang: "es" } } });
+  assert.equal(es.json.error.userMessage, "Revise su pregunta e intente de nuevo.");
+
+  const header = await server.request("/nowhere", { method: "GET", headers: { "Accept-Language": "es-MX" } });
+  assert.equal(header.status, 404);
+  assert.equal(header.json.error.userMessage, i18n.t("error.not_found", "es"));
+});
+
+test("streamed provider errors carry a userMessage", async () => {
+  const r = await server.request("/chat?stream=1", { body: { message: "mock:500", prefer: { lang: "es" } } });
+  const error = events(r.text).find(e => e.event === "error");
+  assert.equal(error.data.userMessage, i18n.t("error.upstream_error", "es"));
+});
@@ -0,0 +1,78 @@
+// The offline mock provider (MOCK_PROVIDER=1, lib/mock.js): scripted replies and
+// injected faults through the real /chat and /translate routes, with no vendor keys.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, events } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer({ MOCK_PROVIDER: "1", PROVIDER_TIMEOUT_MS: "300" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("is the only configured provider on a keyless server", async () => {
+  const r = await server.request("/health", { method: "GET" });
+  assert.equal(r.json.hasMock, true);
+  assert.equal(r.json.hasOpenAI, false);
+});
+
+test("answers from the script in the requested language", async () => {
+  const en = await server.request("/chat", { body: { message: "What is diabetes?" } });
+  assert.equal(en.status, 200);
+  assert.equal(en.json.provider, "mock");
+  assert.match(en.json.text, /^Diabetes is a condition/);
+
+  const es = await server.request("/chat", { body: { message: "¿Qué es la diabetes?", prefer: { provider: "mock" } } });
+  assert.equal(es.json.lang, "es");
+  assert.match(es.json.text, /^La diabetes es una condición/);
+});
+
+test("streams the scripted reply", async () => {
+  const r = await server.request("/chat?stream=1", { body: { message: "Tell me about asthma" } });
+  const evs = events(r.text);
+  const text = evs.filter(e => e.event === "delta").map(e => e.data.text).join("");
+  assert.match(text, /You asked: "Tell me about asthma"/);
+  assert.equal(evs.at(-1).event, "done");
+  assert.equal(evs.at(-1).data.provider, "mock");
+});
+
+test("injected 429 and 500 surface as upstream errors", async () => {
+  for (const trigger of ["mock:429", "mock:500", "mock:malformed"]) {
+    const r = await server.request("/chat", { body: { message: trigger } });
+    assert.equal(r.status, 502, trigger);
+    assert.equal(r.json.error.code, "upstream_error", trigger);
+  }
+});
+
+test("an injected timeout is cut off by PROVIDER_TIMEOUT_MS", async () => {
+  const t0 = Date.now();
+  const r = await server.request("/chat", { body: { message: "mock:timeout" } });
+  assert.equal(r.status, 502);
+  assert.match(r.json.error.attempts[0].error, /timed out|timeout|abort/i);
+  assert.ok(Date.now() - t0 < 5000);
+});
+
+test("scripted unsafe answers go through the safety filter", async () => {
+  const r = await server.request("/chat", { body: { message: "mock:unsafe" } });
+  assert.equal(r.json.safety.flagged, true);
+  assert.doesNotMatch(r.json.text, /500 ?mg/);
+});
+
+test("translates with the translator rule", async () => {
+  const r = await server.request("/translate", { body: { text: "Take one tablet", target: "es" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.provider, "mock");
+  assert.match(r.json.text, /^\[es\] /);
+});
+
+test("answers structured requests with a scripted document", async () => {
+  const r = await server.request("/chat", { body: { message: "What is diabetes?", format: "structured" } });
+  assert.equal(r.json.format, "structured");
+  assert.equal(r.json.structured.repair, "none");
+  assert.match(r.json.structured.summary, /^Diabetes is a condition/);
+});
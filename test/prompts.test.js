@@ -0,0 +1,139 @@
+// Prompt templates (lib/prompts.js): rendering, the registry, experiment assignment,
+// and `promptVersion` through POST /chat, /translate and the admin routes.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const standins = require("./helpers/standins");
+const { startServer } = require("./helpers/server");
+
+// a copy of data/prompts plus a chat.v2 split 50/50 against chat.v1
+const DATA = path.join(__dirname, "..", "data");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "infohealth-prompts-"));
+const DIR = path.join(dir, "prompts");
+const FILE = path.join(dir, "prompts.json");
+fs.cpSync(path.join(DATA, "prompts"), DIR, { recursive: true });
+const v1 = JSON.parse(fs.readFileSync(path.join(DIR, "chat.v1.json"), "utf8"));
+fs.writeFileSync(path.join(DIR, "chat.v2.json"), JSON.stringify({
+  ...v1,
+  id: "chat.v2",
+  system: { en: "TRIAL WORDING. {directive} Tone: {tone}. {readingLevel}\n\n{context}\n\n{format}" }
+}));
+const registry = JSON.parse(fs.readFileSync(path.join(DATA, "prompts.json"), "utf8"));
+registry.experiments = [{ id: "chat-wording", route: "chat", variants: { "chat.v1": 50, "chat.v2": 50 } }];
+fs.writeFileSync(FILE, JSON.stringify(registry));
+
+process.env.PROMPTS_FILE = FILE;
+process.env.PROMPTS_DIR = DIR;
+const prompts = require("../lib/prompts");
+
+// client ids that land in each variant
+const clients = {};
+for (let i = 0; !(clients["chat.v1"] && clients["chat.v2"]); i++) {
+  clients[prompts.pick("chat", `client-${i}`).version] ??= `client-${i}`;
+}
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer({ ...vendors.env, PROMPTS_FILE: FILE, PROMPTS_DIR: DIR, CACHE_BACKEND: "memory", ADMIN_TOKEN: "admin-secret" });
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => vendors.reset());
+
+test("renders variables and drops empty paragraphs", () => {
+  const text = prompts.render(prompts.get("chat.v1"), "system", { directive: "Be careful.", scope: "Asthma.", tone: "calm", context: "" }, "es");
+  assert.equal(text, "Be careful. Tema: Asthma. Si la pregunta está fuera de este tema, responde brevemente y sugiere consultar al profesional adecuado. Tono: calm.");
+  const translator = prompts.get("translate.v1");
+  assert.match(prompts.render(translator, "system", { target: "Spanish", preserve: true }), /⟦n⟧/);
+  assert.doesNotMatch(prompts.render(translator, "system", { target: "Spanish", preserve: false }), /⟦n⟧/);
+});
+
+test("callers without an id get the active version", () => {
+  const picked = prompts.pick("chat");
+  assert.equal(picked.version, "chat.v1");
+  assert.equal(picked.experiment, null);
+  assert.equal(prompts.pick("translate", "client-1").experiment, null);
+});
+
+test("experiment assignment is stable and splits by weight", () => {
+  const seen = { "chat.v1": 0, "chat.v2": 0 };
+  for (let i = 0; i < 400; i++) {
+    const id = `visitor-${i}`;
+    const first = prompts.pick("chat", id);
+    assert.equal(prompts.pick("chat", id).version, first.version);
+    assert.deepEqual(first.experiment, { id: "chat-wording", variant: first.version });
+    seen[first.version]++;
+  }
+  assert.ok(seen["chat.v1"] > 150 && seen["chat.v2"] > 150, JSON.stringify(seen));
+});
+
+test("rejects templates that use undeclared variables", () => {
+  const bad = path.join(DIR, "chat.v9.json");
+  fs.writeFileSync(bad, JSON.stringify({ ...v1, id: "chat.v9", system: "{directive} {mood}" }));
+  try {
+    assert.throws(() => prompts.reload(), /chat\.v9 uses undeclared variables: mood/);
+    // the running set is kept
+    assert.equal(prompts.pick("chat").version, "chat.v1");
+  } finally {
+    fs.rmSync(bad);
+  }
+});
+
+test("POST /chat reports the template and sends its wording", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const control = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-Client-Id": clients["chat.v1"] } });
+  assert.equal(control.json.promptVersion, "chat.v1");
+  assert.doesNotMatch(vendors.calls.openai[0].system, /TRIAL WORDING/);
+
+  const trial = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-Client-Id": clients["chat.v2"] } });
+  assert.equal(trial.json.promptVersion, "chat.v2");
+  assert.match(vendors.calls.openai[1].system, /^TRIAL WORDING\./);
+  // variants never share cached answers
+  assert.equal(trial.json.cache, "miss");
+});
+
+test("without X-Client-Id the conversation id picks the variant", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const first = await server.request("/chat", { body: { message: "What is asthma?" } });
+  const next = await server.request("/chat", { body: { message: "And in children?", conversationId: first.json.conversationId } });
+  assert.equal(next.json.promptVersion, first.json.promptVersion);
+  assert.equal(first.json.promptVersion, prompts.pick("chat", first.json.conversationId).version);
+});
+
+test("triage replies carry no prompt version", async () => {
+  const r = await server.request("/chat", { body: { message: "I have crushing chest pain" } });
+  assert.equal(r.json.triage, "emergency");
+  assert.equal(r.json.promptVersion, undefined);
+});
+
+test("POST /translate reports the translator template", async () => {
+  vendors.script("openai", () => ({ text: "Tome una tableta" }));
+  const r = await server.request("/translate", { body: { text: "Take one tablet", target: "es" } });
+  assert.equal(r.json.promptVersion, "translate.v1");
+  assert.match(vendors.calls.openai[0].system, /\*\*Spanish\*\*/);
+});
+
+test("admin routes list and reload the registry", async () => {
+  const headers = { Authorization: "Bearer admin-secret" };
+  const denied = await server.request("/admin/prompts", { method: "GET" });
+  assert.equal(denied.status, 401);
+
+  const list = await server.request("/admin/prompts", { method: "GET", headers });
+  assert.equal(list.json.routes.chat, "chat.v1");
+  assert.deepEqual(list.json.templates.map(t => t.id).sort(), ["chat.v1", "chat.v2", "enhance.v1", "translate.v1"]);
+  assert.equal(list.json.templates[0].system, undefined);
+
+  const reloaded = await server.request("/admin/prompts/reload", { headers });
+  assert.equal(reloaded.status, 200);
+  assert.equal(reloaded.json.experiments[0].id, "chat-wording");
+});
@@ -0,0 +1,95 @@
+// lib/readability.js: syllable counts, grade scores and the one-shot simplification.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const readability = require("../lib/readability");
+
+const EASY_EN = "High blood pressure is when blood pushes too hard on your blood vessels. It can hurt your heart. Walk each day and eat less salt.";
+const HARD_EN = "Hypertension, commonly characterized as persistently elevated arterial blood pressure, constitutes a significant cardiovascular risk factor necessitating comprehensive pharmacological and lifestyle interventions.";
+const EASY_ES = "La presión alta es cuando la sangre empuja muy fuerte. Puede dañar su corazón. Camine cada día y coma menos sal.";
+const HARD_ES = "La hipertensión arterial, frecuentemente caracterizada como presión arterial persistentemente elevada, constituye un factor de riesgo cardiovascular significativo que requiere intervenciones farmacológicas integrales.";
+
+test("counts Spanish syllables with diphthongs and hiatus", () => {
+  const expected = { historia: 3, día: 2, leer: 2, ciudad: 2, país: 2, aéreo: 4, que: 1, agua: 2, hoy: 1, pingüino: 3 };
+  for (const [word, n] of Object.entries(expected)) {
+    assert.equal(readability.counts(word, "es").syllables, n, word);
+  }
+});
+
+test("counts English syllables", () => {
+  const expected = { the: 1, table: 2, people: 2, education: 4, blood: 1, jumped: 1 };
+  for (const [word, n] of Object.entries(expected)) {
+    assert.equal(readability.counts(word, "en").syllables, n, word);
+  }
+});
+
+test("scores English with Flesch-Kincaid", () => {
+  const easy = readability.score(EASY_EN, "en");
+  const hard = readability.score(HARD_EN, "en");
+  assert.equal(easy.formula, "flesch-kincaid");
+  assert.equal(easy.sentences, 3);
+  assert.ok(easy.grade <= 6, `easy grade ${easy.grade}`);
+  assert.ok(hard.grade >= 16, `hard grade ${hard.grade}`);
+  assert.ok(easy.scores.fleschReadingEase > hard.scores.fleschReadingEase);
+});
+
+test("scores Spanish with Fernández-Huerta and Szigriszt-Pazos", () => {
+  const easy = readability.score(EASY_ES, "es");
+  const hard = readability.score(HARD_ES, "es");
+  assert.equal(easy.formula, "fernandez-huerta");
+  assert.ok(easy.scores.fernandezHuerta > 80, `easy ease ${easy.scores.fernandezHuerta}`);
+  assert.ok(hard.scores.szigrisztPazos < 40, `hard ease ${hard.scores.szigrisztPazos}`);
+  assert.ok(easy.grade < hard.grade);
+});
+
+test("empty text has no grade and no verdict", () => {
+  const r = readability.assess("", "en", { target: 5 });
+  assert.equal(r.grade, null);
+  assert.equal(r.met, null);
+});
+
+test("assess checks the grade (with tolerance) and the word range", () => {
+  assert.equal(readability.assess(EASY_EN, "en", { target: 5 }).met, true);
+  assert.deepEqual(readability.assess(HARD_EN, "en", { target: 8 }).missed, ["grade"]);
+  assert.deepEqual(readability.assess(EASY_EN, "en", { words: [170, 220] }).missed, ["words"]);
+  assert.equal(readability.assess(EASY_EN, "en").met, null);
+});
+
+test("level accepts whole grades in range only", () => {
+  assert.equal(readability.level(5), 5);
+  assert.equal(readability.level("8"), 8);
+  for (const bad of [2, 13, 5.5, "x", null, undefined]) assert.equal(readability.level(bad), null);
+});
+
+test("fit simplifies once when the target is missed", async () => {
+  const requests = [];
+  const out = await readability.fit(HARD_EN, {
+    lang: "en",
+    target: 6,
+    rewrite: async r => { requests.push(r); return EASY_EN; }
+  });
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].system, /grade 6/);
+  assert.equal(requests[0].messages[0].content, HARD_EN);
+  assert.equal(out.text, EASY_EN);
+  assert.equal(out.readability.action, "simplified");
+  assert.equal(out.readability.met, true);
+  assert.ok(out.readability.before.grade > out.readability.grade);
+});
+
+test("fit keeps the original when the rewrite is no better or fails", async () => {
+  const worse = await readability.fit(HARD_EN, { lang: "en", target: 6, rewrite: async () => `${HARD_EN} ${HARD_EN}` });
+  assert.equal(worse.text, HARD_EN);
+  assert.equal(worse.readability.action, "unchanged");
+
+  const failed = await readability.fit(HARD_EN, { lang: "en", target: 6, rewrite: async () => { throw new Error("down"); } });
+  assert.equal(failed.text, HARD_EN);
+  assert.equal(failed.readability.action, "unchanged");
+});
+
+test("fit does not call the model when the target is met", async () => {
+  let calls = 0;
+  const out = await readability.fit(EASY_ES, { lang: "es", target: 8, rewrite: async () => { calls++; return ""; } });
+  assert.equal(calls, 0);
+  assert.equal(out.readability.action, "none");
+});
@@ -0,0 +1,42 @@
+// SIGTERM writes the batched state files (usage, feedback, key counters) before exiting.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const standins = require("./helpers/standins");
+const { startServer } = require("./helpers/server");
+
+let vendors, dir;
+
+before(async () => {
+  vendors = await standins.start();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "infohealth-shutdown-"));
+});
+
+after(async () => {
+  await vendors?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("flushes usage, ratings and key usage on SIGTERM", async () => {
+  const files = { usage: path.join(dir, "usage.json"), feedback: path.join(dir, "feedback.json"), keys: path.join(dir, "api-keys.json") };
+  const server = await startServer({ ...vendors.env, ADMIN_TOKEN: "admin-secret", USAGE_FILE: files.usage, FEEDBACK_FILE: files.feedback, API_KEYS_FILE: files.keys });
+  const { key } = (await server.request("/admin/keys", { body: { name: "partner" }, headers: { Authorization: "Bearer admin-secret" } })).json;
+
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const a = await server.request("/chat", { body: { message: "What is asthma?" }, headers: { "X-API-Key": key } });
+  assert.equal(a.status, 200);
+  assert.equal((await server.request("/feedback", { body: { responseId: a.json.responseId, rating: "up" } })).status, 201);
+  // usage is written on a 5 s timer, so only the shutdown can have written it by now
+  assert.equal(fs.existsSync(files.usage), false);
+
+  await server.stop();
+  const usage = JSON.parse(fs.readFileSync(files.usage, "utf8"));
+  assert.ok(Object.values(usage.rows).some(row => row.provider === "openai"));
+  assert.equal(JSON.parse(fs.readFileSync(files.feedback, "utf8")).records.length, 1);
+  const record = JSON.parse(fs.readFileSync(files.keys, "utf8")).keys[0];
+  assert.ok(record.usage.tokens > 0);
+  assert.ok(record.lastUsedAt);
+});
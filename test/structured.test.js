@@ -0,0 +1,140 @@
+// format: "structured" answers: lib/structured.js parsing and POST /chat end to end.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const structured = require("../lib/structured");
+const standins = require("./helpers/standins");
+const { startServer, events } = require("./helpers/server");
+
+const DOC = {
+  summary: "Asthma makes the airways swell and narrow.",
+  keyPoints: ["It can cause wheezing.", "Triggers include smoke and pollen."],
+  selfCare: ["Avoid your triggers."],
+  whenToSeekCare: ["Get help right away if your lips turn blue."],
+  questionsForClinician: ["Do I need an action plan?"]
+};
+
+const isRepair = p => /convert a patient-education answer/.test(p.system);
+
+let vendors, server;
+
+before(async () => {
+  vendors = await standins.start();
+  server = await startServer(vendors.env);
+});
+
+after(async () => {
+  await server?.stop();
+  await vendors?.close();
+});
+
+beforeEach(() => vendors.reset());
+
+test("parses documents wrapped in code fences or prose", () => {
+  assert.deepEqual(structured.parse(JSON.stringify(DOC)), DOC);
+  assert.deepEqual(structured.parse("```json\n" + JSON.stringify(DOC) + "\n```"), DOC);
+  assert.deepEqual(structured.parse(`Here you go: ${JSON.stringify(DOC)} Hope it helps.`), DOC);
+  assert.equal(structured.parse("{ not json"), null);
+  assert.equal(structured.parse(JSON.stringify({ keyPoints: ["no summary"] })), null);
+});
+
+test("normalizes stray shapes", () => {
+  const doc = structured.parse(JSON.stringify({ summary: "  Hi  ", keyPoints: "one", selfCare: [1, "", "ok"], extra: "x" }));
+  assert.deepEqual(doc, { summary: "Hi", keyPoints: ["one"], selfCare: ["ok"], whenToSeekCare: [], questionsForClinician: [] });
+});
+
+test("falls back to bullets and prose when there is no document", async () => {
+  const out = await structured.build("Asthma narrows the airways.\n- Wheezing\n- Coughing");
+  assert.equal(out.repair, "fallback");
+  assert.equal(out.doc.summary, "Asthma narrows the airways.");
+  assert.deepEqual(out.doc.keyPoints, ["Wheezing", "Coughing"]);
+});
+
+test("redacts flagged sections in place", () => {
+  const out = structured.sanitize({ ...DOC, selfCare: ["Take 500mg of metformin twice daily."] }, "en");
+  assert.equal(out.safety.flagged, true);
+  assert.equal(out.safety.action, "redacted");
+  assert.doesNotMatch(out.doc.selfCare[0], /500 ?mg/);
+  assert.equal(out.doc.summary, DOC.summary);
+});
+
+test("renders localized plain text", () => {
+  const text = structured.render(DOC, "es");
+  assert.match(text, /^Asthma makes/);
+  assert.match(text, /Cuándo buscar atención:\n- Get help/);
+});
+
+test("POST /chat returns sections using the vendor's JSON mode", async () => {
+  vendors.script("openai", () => ({ text: JSON.stringify(DOC) }));
+  const r = await server.request("/chat", { body: { message: "What is asthma?", format: "structured" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.format, "structured");
+  assert.ok(vendors.calls.openai[0].json);
+  assert.match(vendors.calls.openai[0].system, /single JSON object/);
+  assert.deepEqual(r.json.structured.whenToSeekCare, DOC.whenToSeekCare);
+  assert.equal(r.json.structured.repair, "none");
+  // sources are the vetted KB ones, never the model's
+  assert.deepEqual(r.json.structured.sources, r.json.sources);
+  assert.match(r.json.text, /When to seek care:/);
+});
+
+test("repairs a malformed document once", async () => {
+  vendors.script("openai", p => (isRepair(p) ? { text: JSON.stringify(DOC) } : { text: '{"summary": "Asthma makes the airways' }));
+  const r = await server.request("/chat", { body: { message: "What is asthma?", format: "structured" } });
+  assert.equal(r.json.structured.repair, "repaired");
+  assert.equal(r.json.structured.summary, DOC.summary);
+  assert.equal(vendors.calls.openai.length, 2);
+  assert.ok(vendors.calls.openai[1].json);
+});
+
+test("falls back to the free text when the repair fails too", async () => {
+  vendors.script("openai", () => ({ text: "Asthma makes the airways narrow.\n- Avoid smoke" }));
+  const r = await server.request("/chat", { body: { message: "What is asthma?", format: "structured" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.structured.repair, "fallback");
+  assert.equal(r.json.structured.summary, "Asthma makes the airways narrow.");
+  assert.deepEqual(r.json.structured.keyPoints, ["Avoid smoke"]);
+});
+
+test("Anthropic answers through a forced tool call", async () => {
+  vendors.script("openai", () => ({ status: 500 }));
+  vendors.script("anthropic", () => ({ text: JSON.stringify(DOC) }));
+  const r = await server.request("/chat", { body: { message: "What is asthma?", format: "structured" } });
+  assert.equal(r.json.provider, "anthropic");
+  assert.ok(vendors.calls.anthropic[0].json);
+  assert.equal(r.json.structured.repair, "none");
+  assert.deepEqual(r.json.structured.keyPoints, DOC.keyPoints);
+});
+
+test("streaming requests get the JSON response", async () => {
+  vendors.script("openai", () => ({ text: JSON.stringify(DOC) }));
+  const r = await server.request("/chat?stream=1", { body: { message: "What is asthma?", format: "structured" } });
+  assert.match(r.headers.get("content-type"), /application\/json/);
+  assert.equal(r.json.structured.summary, DOC.summary);
+  assert.equal(vendors.calls.openai[0].stream, false);
+});
+
+test("translations and triage stay plain text", async () => {
+  const t = await server.request("/chat", { body: { message: "Translate: take one tablet daily", format: "structured" } });
+  assert.equal(t.json.format, "text");
+  assert.equal(t.json.structured, undefined);
+  assert.equal(vendors.calls.openai[0].json, false);
+
+  const e = await server.request("/chat", { body: { message: "I have crushing chest pain", format: "structured" } });
+  assert.equal(e.json.format, "text");
+  assert.equal(e.json.triage, "emergency");
+});
+
+test("rejects unknown formats", async () => {
+  const r = await server.request("/chat", { body: { message: "hi", format: "xml" } });
+  assert.equal(r.status, 400);
+  assert.equal(r.json.error.field, "format");
+});
+
+test("plain streamed answers are unaffected", async () => {
+  vendors.script("openai", () => ({ text: "Asthma narrows the airways." }));
+  const r = await server.request("/chat?stream=1", { body: { message: "What is asthma?" } });
+  const done = events(r.text).find(e => e.event === "done");
+  assert.equal(done.data.format, "text");
+  assert.equal(vendors.calls.openai[0].json, false);
+});